@@ -0,0 +1,112 @@
+// sw.js
+// Offline support. On install the worker caches the app shell and every build output listed in
+// precache-manifest.json (scripts, MediaPipe runtime and models, model decoders), plus the GLBs
+// the catalog refers to, so the try-on works without a network after the first visit.
+// The build stamps PRECACHE_VERSION (see scripts/precacheManifest.js); each build gets a fresh
+// cache and the previous one is deleted once the new worker takes over. Once the worker controls
+// the page it is the only persistent cache for accessory models (the asset manager caches them
+// itself until then); they are revalidated on every request, since a model can be replaced at
+// the same URL without a new build.
+
+const PRECACHE_VERSION = "__PRECACHE_VERSION__";
+const CACHE_PREFIX = "ar-wardrobe-shell-";
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_VERSION}`;
+
+// The app's base path: the worker is served from it (see src/main.jsx), so its scope is the base,
+// the same prefix the build gives the precache manifest's files
+const BASE = new URL(self.registration.scope).pathname;
+// Always fetched fresh when online, so catalog and page updates show up without a new build
+const NETWORK_FIRST = [BASE, `${BASE}index.html`, `${BASE}catalog.json`];
+const MODELS_PATH = `${BASE}models/`;
+// The asset manager's model cache from before this worker controlled the page (MODEL_CACHE_NAME in
+// src/modelCache.js); the worker's cache takes over from it
+const PAGE_CACHES = ["ar-wardrobe-models-v1"];
+
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  const { files } = await (await fetch(`${BASE}precache-manifest.json`, { cache: "no-store" })).json();
+  await cache.addAll([BASE, ...files]);
+
+  // Catalog models one by one: a missing model is reported by the app, it mustn't fail the install
+  const catalog = await (await fetch(`${BASE}catalog.json`, { cache: "no-store" })).json();
+  const models = [...new Set((catalog.accessories || []).map((accessory) => accessory.path).filter(Boolean))];
+  await Promise.all(models.map((model) => cache.add(model).catch(() => {})));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => (name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME) || PAGE_CACHES.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    // Any page URL falls back to the cached app shell
+    const cached = (await cache.match(request)) || (request.mode === "navigate" && (await cache.match(BASE)));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// The catalog checks models with HEAD requests, which are answered from the cached GET response
+function matchMethod(cached, request) {
+  return request.method === "HEAD" ? new Response(null, { status: cached.status, headers: cached.headers }) : cached;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreMethod: request.method === "HEAD" });
+  return cached ? matchMethod(cached, request) : fetch(request);
+}
+
+// Conditional request with the cached copy's validators: an unchanged model costs a 304, a
+// replaced one is downloaded and cached, and offline the cached copy is served
+async function revalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreMethod: true });
+  const headers = new Headers();
+  const etag = cached?.headers.get("etag");
+  const lastModified = cached?.headers.get("last-modified");
+  if (etag) headers.set("If-None-Match", etag);
+  if (lastModified) headers.set("If-Modified-Since", lastModified);
+
+  let response;
+  try {
+    response = await fetch(request.url, { method: request.method, headers });
+  } catch (err) {
+    if (cached) return matchMethod(cached, request);
+    throw err;
+  }
+  if (response.status === 304 && cached) return matchMethod(cached, request);
+  if (response.ok && request.method === "GET") cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || (request.method !== "GET" && request.method !== "HEAD")) return;
+
+  if (request.mode === "navigate" || NETWORK_FIRST.includes(url.pathname)) {
+    if (request.method === "GET") event.respondWith(networkFirst(request));
+    return;
+  }
+  event.respondWith(url.pathname.startsWith(MODELS_PATH) ? revalidate(request) : cacheFirst(request));
+});
@@ -0,0 +1,98 @@
+// tracking-worker.js
+// Runs MediaPipe Holistic off the main thread (see src/trackingWorker.js for the page side), so
+// rendering, the catalog and the assistant stay responsive while a frame is being analysed.
+// Holistic's runtime is loaded with importScripts, which only module-less (classic) workers have,
+// so this file is served as is from public/ instead of going through the bundler.
+//
+// Messages in:  { type: "init", baseUrl, options }
+//               { type: "setOptions", options }
+//               { type: "frame", id, bitmap: ImageBitmap (transferred), staticImage }
+// Messages out: { type: "ready" }
+//               { type: "results", id, results: { faceLandmarks, poseLandmarks, ... }, inferenceTime }
+//               { type: "error", id?, message }
+
+/* global Holistic */
+
+const LANDMARK_KEYS = ["faceLandmarks", "poseLandmarks", "leftHandLandmarks", "rightHandLandmarks"];
+
+// Smallest module using a SIMD instruction; Holistic falls back to a non-SIMD WASM build the app
+// doesn't ship (see vite.config.js) when it doesn't validate
+const SIMD_TEST_MODULE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11,
+]);
+
+let holistic = null;
+let latestResults = null;
+// Messages are handled one at a time, in arrival order
+let queue = Promise.resolve();
+
+async function init({ baseUrl, options }) {
+  if (!WebAssembly.validate(SIMD_TEST_MODULE)) throw new Error("Tracking needs a browser with WebAssembly SIMD");
+  const locateFile = (file) => `${baseUrl}mediapipe/holistic/${file}`;
+  // The packed assets loader and the WASM runtime look their files up through this object
+  self.createMediapipeSolutionsPackedAssets = { locateFile };
+  importScripts(locateFile("holistic.js"));
+
+  const instance = new Holistic({ locateFile });
+  instance.setOptions(options);
+  instance.onResults((results) => {
+    latestResults = results;
+  });
+  await instance.initialize();
+  holistic = instance;
+}
+
+// Only the landmark lists are posted back; the output image and masks stay in the worker
+function pickLandmarks(results) {
+  const landmarks = {};
+  LANDMARK_KEYS.forEach((key) => {
+    if (results?.[key]) landmarks[key] = results[key];
+  });
+  results?.image?.close?.();
+  results?.segmentationMask?.close?.();
+  return landmarks;
+}
+
+async function analyseFrame({ id, bitmap, staticImage }) {
+  const startedAt = performance.now();
+  try {
+    if (staticImage) holistic.setOptions({ staticImageMode: true });
+    latestResults = null;
+    await holistic.send({ image: bitmap });
+    const results = pickLandmarks(latestResults);
+    self.postMessage({ type: "results", id, results, inferenceTime: performance.now() - startedAt });
+  } catch (err) {
+    self.postMessage({ type: "error", id, message: err.message });
+  } finally {
+    bitmap.close();
+    if (staticImage) holistic.setOptions({ staticImageMode: false });
+  }
+}
+
+// Runs a task after everything queued before it; a failing task doesn't stall the queue
+function enqueue(task, describeError = (err) => err.message) {
+  queue = queue.then(task).catch((err) => self.postMessage({ type: "error", message: describeError(err) }));
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "init":
+      enqueue(
+        () => init(data).then(() => self.postMessage({ type: "ready" })),
+        (err) => `Holistic init failed: ${err.message}`
+      );
+      break;
+    case "setOptions":
+      enqueue(() => holistic?.setOptions(data.options));
+      break;
+    case "frame":
+      enqueue(() => {
+        if (holistic) return analyseFrame(data);
+        data.bitmap.close();
+        self.postMessage({ type: "error", id: data.id, message: "Holistic is not initialized" });
+      });
+      break;
+    default:
+      break;
+  }
+};
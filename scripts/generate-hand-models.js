@@ -0,0 +1,169 @@
+// generate-hand-models.js
+// Generates the ring, bracelet and watch models (public/models/gold_ring.glb, silver_bangle.glb,
+// classic_watch.glb) from Three.js primitives. They are placeholders built entirely by this script,
+// with no third-party assets, until real product models arrive. Bands wrap around the Y axis (the
+// finger or forearm direction) and the ring's stone and the watch face point along +Z, the back of
+// the hand, with the origin at the band's centre as the hand strategies expect.
+//
+// Usage: npm run generate:hand-models
+
+import { writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import * as THREE from "three";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const MODELS_DIR = path.join(ROOT, "public", "models");
+
+const GENERATOR = "ar-wardrobe scripts/generate-hand-models.js";
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+const FLOAT = 5126;
+const UNSIGNED_SHORT = 5123;
+const UNSIGNED_INT = 5125;
+
+function material(name, color, metallic, roughness) {
+  return {
+    name,
+    pbrMetallicRoughness: { baseColorFactor: [...color, 1], metallicFactor: metallic, roughnessFactor: roughness },
+  };
+}
+
+// GLB chunks are 4-byte aligned
+const pad = (bytes, fill = 0) => Buffer.concat([bytes, Buffer.alloc((4 - (bytes.length % 4)) % 4, fill)]);
+
+/**
+ * Writes meshes as a binary glTF with one node per part.
+ * @param {string} file Output path.
+ * @param {Array<{ name: string, geometry: THREE.BufferGeometry, material: number }>} parts
+ * @param {object[]} materials glTF materials the parts index into.
+ */
+async function writeGlb(file, parts, materials) {
+  const json = {
+    asset: { version: "2.0", generator: GENERATOR },
+    scene: 0,
+    scenes: [{ nodes: parts.map((_, index) => index) }],
+    nodes: parts.map((part, index) => ({ name: part.name, mesh: index })),
+    meshes: [],
+    materials,
+    accessors: [],
+    bufferViews: [],
+    buffers: [],
+  };
+  const chunks = [];
+  let byteOffset = 0;
+
+  const addView = (array, target) => {
+    const bytes = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    json.bufferViews.push({ buffer: 0, byteOffset, byteLength: bytes.length, target });
+    const padded = pad(bytes);
+    chunks.push(padded);
+    byteOffset += padded.length;
+    return json.bufferViews.length - 1;
+  };
+  const addAccessor = (bufferView, componentType, count, type, extra = {}) => {
+    json.accessors.push({ bufferView, componentType, count, type, ...extra });
+    return json.accessors.length - 1;
+  };
+
+  parts.forEach(({ name, geometry, material: materialIndex }) => {
+    const count = geometry.attributes.position.count;
+    if (!geometry.index) geometry.setIndex([...Array(count).keys()]);
+    geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    const wide = count > 65535;
+    const index = wide ? new Uint32Array(geometry.index.array) : new Uint16Array(geometry.index.array);
+
+    const positions = new Float32Array(geometry.attributes.position.array);
+    const normals = new Float32Array(geometry.attributes.normal.array);
+    const position = addAccessor(addView(positions, ARRAY_BUFFER), FLOAT, count, "VEC3", {
+      min: min.toArray(),
+      max: max.toArray(),
+    });
+    const normal = addAccessor(addView(normals, ARRAY_BUFFER), FLOAT, count, "VEC3");
+    const indexType = wide ? UNSIGNED_INT : UNSIGNED_SHORT;
+    const indices = addAccessor(addView(index, ELEMENT_ARRAY_BUFFER), indexType, index.length, "SCALAR");
+    json.meshes.push({
+      name,
+      primitives: [{ attributes: { POSITION: position, NORMAL: normal }, indices, material: materialIndex }],
+    });
+  });
+
+  const bin = Buffer.concat(chunks);
+  json.buffers.push({ byteLength: bin.length });
+  const jsonChunk = pad(Buffer.from(JSON.stringify(json)), 0x20);
+
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0); // "glTF"
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + bin.length, 8);
+  const chunkHeader = (length, type) => {
+    const bytes = Buffer.alloc(8);
+    bytes.writeUInt32LE(length, 0);
+    bytes.writeUInt32LE(type, 4);
+    return bytes;
+  };
+  const jsonHeader = chunkHeader(jsonChunk.length, 0x4e4f534a); // "JSON"
+  const binHeader = chunkHeader(bin.length, 0x004e4942); // "BIN"
+  await writeFile(file, Buffer.concat([header, jsonHeader, jsonChunk, binHeader, bin]));
+}
+
+// Band around the Y axis: a torus in the XZ plane, optionally widened along Y or flattened along Z
+function band(radius, tube, { widthY = 1, depthZ = 1 } = {}) {
+  const geometry = new THREE.TorusGeometry(radius, tube, 24, 96);
+  geometry.rotateX(Math.PI / 2);
+  geometry.scale(1, widthY, depthZ);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Flat disc facing +Z at distance z from the band's centre
+function disc(radius, thickness, z) {
+  const geometry = new THREE.CylinderGeometry(radius, radius, thickness, 48);
+  geometry.rotateX(Math.PI / 2);
+  geometry.translate(0, 0, z);
+  return geometry;
+}
+
+// Ring: gold band with a small stone on the back of the finger
+async function ring() {
+  const stone = new THREE.OctahedronGeometry(0.009, 1);
+  stone.translate(0, 0, 0.041);
+  await writeGlb(
+    path.join(MODELS_DIR, "gold_ring.glb"),
+    [
+      { name: "Band", geometry: band(0.034, 0.005, { widthY: 1.3 }), material: 0 },
+      { name: "Stone", geometry: stone, material: 1 },
+    ],
+    [material("Gold", [1.0, 0.77, 0.34], 1, 0.25), material("Sapphire", [0.08, 0.2, 0.75], 0, 0.05)]
+  );
+}
+
+// Bracelet: silver oval bangle around the wrist
+async function bracelet() {
+  await writeGlb(
+    path.join(MODELS_DIR, "silver_bangle.glb"),
+    [{ name: "Bangle", geometry: band(0.075, 0.006, { depthZ: 0.75 }), material: 0 }],
+    [material("Silver", [0.95, 0.95, 0.96], 1, 0.2)]
+  );
+}
+
+// Watch: leather strap with a steel case and dark dial on the back of the wrist
+async function watch() {
+  await writeGlb(
+    path.join(MODELS_DIR, "classic_watch.glb"),
+    [
+      { name: "Strap", geometry: band(0.072, 0.007, { widthY: 2.2, depthZ: 0.75 }), material: 0 },
+      { name: "Case", geometry: disc(0.024, 0.012, 0.06), material: 1 },
+      { name: "Dial", geometry: disc(0.02, 0.001, 0.0665), material: 2 },
+    ],
+    [
+      material("Leather", [0.35, 0.2, 0.1], 0, 0.7),
+      material("Steel", [0.8, 0.8, 0.82], 1, 0.3),
+      material("Dial", [0.05, 0.06, 0.08], 0, 0.15),
+    ]
+  );
+}
+
+await Promise.all([ring(), bracelet(), watch()]);
+console.log(`Wrote gold_ring.glb, silver_bangle.glb and classic_watch.glb to ${path.relative(ROOT, MODELS_DIR)}`);
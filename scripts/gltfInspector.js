@@ -0,0 +1,240 @@
+// gltfInspector.js
+// Reads a .glb/.gltf file in Node without a renderer and summarises what matters for try-on:
+// triangle count, textures and their sizes, and the model's bounding box in its own units
+// (so off-centre pivots show up as a large origin offset).
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { Box3, Matrix4, Quaternion, Vector3 } from "three";
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+// Compression extensions, by what they compress
+const GEOMETRY_COMPRESSION = {
+  KHR_draco_mesh_compression: "draco",
+  EXT_meshopt_compression: "meshopt",
+  KHR_meshopt_compression: "meshopt",
+};
+const TEXTURE_COMPRESSION = {
+  KHR_texture_basisu: "ktx2",
+  EXT_texture_webp: "webp",
+  EXT_texture_avif: "avif",
+};
+
+// Primitive modes (glTF 2.0 spec, 3.7.2.1)
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+function parseGlb(data) {
+  if (data.readUInt32LE(0) !== GLB_MAGIC) throw new Error("Not a GLB file (bad magic)");
+  const version = data.readUInt32LE(4);
+  if (version !== 2) throw new Error(`Unsupported GLB version ${version}`);
+  const length = data.readUInt32LE(8);
+  if (length > data.length) throw new Error("Truncated GLB file");
+
+  let json = null;
+  let bin = null;
+  for (let offset = 12; offset < length; ) {
+    const chunkLength = data.readUInt32LE(offset);
+    const chunkType = data.readUInt32LE(offset + 4);
+    const chunk = data.subarray(offset + 8, offset + 8 + chunkLength);
+    if (chunkType === CHUNK_JSON) json = JSON.parse(chunk.toString("utf8"));
+    else if (chunkType === CHUNK_BIN && !bin) bin = chunk;
+    offset += 8 + chunkLength;
+  }
+  if (!json) throw new Error("GLB has no JSON chunk");
+  return { json, bin };
+}
+
+// Bytes behind a `uri`: a data URI or a file next to the model
+async function readUri(uri, baseDir) {
+  if (uri.startsWith("data:")) return Buffer.from(uri.slice(uri.indexOf(",") + 1), "base64");
+  return readFile(path.join(baseDir, decodeURIComponent(uri)));
+}
+
+// Pixel size of an encoded image (PNG, JPEG, WebP or KTX2), or null when unknown
+function readImageSize(bytes) {
+  if (bytes.length >= 24 && bytes.readUInt32BE(0) === 0x89504e47) {
+    return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20), format: "png" };
+  }
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    // Walk the JPEG segments up to the first start-of-frame marker
+    for (let offset = 2; offset + 9 < bytes.length; ) {
+      if (bytes[offset] !== 0xff) break;
+      const marker = bytes[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5), format: "jpeg" };
+      }
+      offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+  if (bytes.length >= 30 && bytes.toString("ascii", 0, 4) === "RIFF" && bytes.toString("ascii", 8, 12) === "WEBP") {
+    const chunk = bytes.toString("ascii", 12, 16);
+    if (chunk === "VP8X") {
+      return { width: 1 + bytes.readUIntLE(24, 3), height: 1 + bytes.readUIntLE(27, 3), format: "webp" };
+    }
+    if (chunk === "VP8L") {
+      const bits = bytes.readUInt32LE(21);
+      return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff), format: "webp" };
+    }
+    if (chunk === "VP8 ") {
+      return { width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff, format: "webp" };
+    }
+    return null;
+  }
+  if (bytes.length >= 28 && bytes.toString("latin1", 1, 7) === "KTX 20") {
+    return { width: bytes.readUInt32LE(20), height: bytes.readUInt32LE(24), format: "ktx2" };
+  }
+  return null;
+}
+
+function nodeMatrix(node) {
+  if (node.matrix) return new Matrix4().fromArray(node.matrix);
+  return new Matrix4().compose(
+    new Vector3().fromArray(node.translation || [0, 0, 0]),
+    new Quaternion().fromArray(node.rotation || [0, 0, 0, 1]),
+    new Vector3().fromArray(node.scale || [1, 1, 1])
+  );
+}
+
+function primitiveTriangles(json, primitive) {
+  const indexAccessor = primitive.indices !== undefined ? json.accessors[primitive.indices] : null;
+  const positionAccessor = json.accessors[primitive.attributes.POSITION];
+  const count = (indexAccessor || positionAccessor)?.count || 0;
+  switch (primitive.mode ?? MODE_TRIANGLES) {
+    case MODE_TRIANGLES:
+      return Math.floor(count / 3);
+    case MODE_TRIANGLE_STRIP:
+    case MODE_TRIANGLE_FAN:
+      return Math.max(0, count - 2);
+    default:
+      return 0; // points and lines
+  }
+}
+
+// Bounding box of a primitive's POSITION accessor (whose min/max the spec requires) in world space
+function primitiveBox(json, primitive, matrix) {
+  const accessor = json.accessors[primitive.attributes.POSITION];
+  if (!accessor?.min || !accessor?.max) return null;
+  return new Box3(new Vector3().fromArray(accessor.min), new Vector3().fromArray(accessor.max)).applyMatrix4(matrix);
+}
+
+// How a model's geometry and textures are compressed, from the extensions it declares
+function describeCompression(json) {
+  const used = json.extensionsUsed || [];
+  const pick = (table) => [...new Set(used.filter((name) => table[name]).map((name) => table[name]))];
+  return {
+    geometry: pick(GEOMETRY_COMPRESSION),
+    textures: pick(TEXTURE_COMPRESSION),
+    quantized: used.includes("KHR_mesh_quantization"),
+  };
+}
+
+/**
+ * Inspects a model file.
+ * @param {string} file Path to a .glb or .gltf file.
+ * @returns {Promise<{
+ *   fileSize: number,
+ *   triangles: number,
+ *   meshes: number,
+ *   textures: Array<{ name: string, width: number|null, height: number|null, format: string|null, bytes: number }>,
+ *   extensionsUsed: string[],
+ *   extensionsRequired: string[],
+ *   compression: { geometry: string[], textures: string[], quantized: boolean },
+ *   boundingBox: { min: number[], max: number[], size: number[], center: number[] }|null,
+ * }>} Throws when the file can't be parsed.
+ */
+export async function inspectModel(file) {
+  const data = await readFile(file);
+  const baseDir = path.dirname(file);
+  const { json, bin } = file.endsWith(".glb") ? parseGlb(data) : { json: JSON.parse(data.toString("utf8")), bin: null };
+  if (!json.asset || !String(json.asset.version).startsWith("2")) throw new Error("Not a glTF 2.0 asset");
+
+  json.accessors = json.accessors || [];
+  const buffers = await Promise.all(
+    (json.buffers || []).map((buffer, index) => {
+      if (buffer.uri) return readUri(buffer.uri, baseDir);
+      if (index === 0 && bin) return bin;
+      // Meshopt files may declare a data-less fallback buffer for decoders without the extension
+      const meshopt = buffer.extensions?.EXT_meshopt_compression || buffer.extensions?.KHR_meshopt_compression;
+      if (meshopt?.fallback) return Buffer.alloc(0);
+      throw new Error(`Buffer ${index} has no data`);
+    })
+  );
+  const bufferViewBytes = (index) => {
+    const view = json.bufferViews?.[index];
+    if (!view || !buffers[view.buffer]) throw new Error(`Invalid buffer view ${index}`);
+    const offset = view.byteOffset || 0;
+    return buffers[view.buffer].subarray(offset, offset + view.byteLength);
+  };
+
+  // Walk the default scene, counting every mesh instance with its world transform
+  let triangles = 0;
+  let meshes = 0;
+  const box = new Box3();
+  const sceneIndex = json.scene ?? 0;
+  const roots = json.scenes?.[sceneIndex]?.nodes || [];
+  const visit = (nodeIndex, parentMatrix, depth) => {
+    const node = json.nodes?.[nodeIndex];
+    if (!node) throw new Error(`Invalid node ${nodeIndex}`);
+    if (depth > 256) throw new Error("Node hierarchy too deep (cycle?)");
+    const matrix = parentMatrix.clone().multiply(nodeMatrix(node));
+    if (node.mesh !== undefined) {
+      const mesh = json.meshes?.[node.mesh];
+      if (!mesh) throw new Error(`Invalid mesh ${node.mesh}`);
+      meshes++;
+      mesh.primitives.forEach((primitive) => {
+        triangles += primitiveTriangles(json, primitive);
+        const primitiveBounds = primitiveBox(json, primitive, matrix);
+        if (primitiveBounds) box.union(primitiveBounds);
+      });
+    }
+    (node.children || []).forEach((child) => visit(child, matrix, depth + 1));
+  };
+  roots.forEach((root) => visit(root, new Matrix4(), 0));
+
+  const textures = await Promise.all(
+    (json.textures || []).map(async (texture, index) => {
+      // Compressed (KTX2) and WebP images are referenced through extensions
+      const { extensions = {} } = texture;
+      const source = extensions.KHR_texture_basisu?.source ?? extensions.EXT_texture_webp?.source ?? texture.source;
+      const image = json.images?.[source];
+      let bytes = null;
+      if (image?.bufferView !== undefined) bytes = bufferViewBytes(image.bufferView);
+      else if (image?.uri) bytes = await readUri(image.uri, baseDir).catch(() => null);
+      const size = bytes ? readImageSize(bytes) : null;
+      return {
+        name: texture.name || image?.name || `texture ${index}`,
+        width: size?.width ?? null,
+        height: size?.height ?? null,
+        format: size?.format ?? null,
+        bytes: bytes?.length ?? 0,
+      };
+    })
+  );
+
+  const boundingBox = box.isEmpty()
+    ? null
+    : {
+        min: box.min.toArray(),
+        max: box.max.toArray(),
+        size: box.getSize(new Vector3()).toArray(),
+        center: box.getCenter(new Vector3()).toArray(),
+      };
+
+  return {
+    fileSize: data.length,
+    triangles,
+    meshes,
+    textures,
+    extensionsUsed: json.extensionsUsed || [],
+    extensionsRequired: json.extensionsRequired || [],
+    compression: describeCompression(json),
+    boundingBox,
+  };
+}
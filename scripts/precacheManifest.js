@@ -0,0 +1,67 @@
+// precacheManifest.js
+// Vite build plugin for the offline service worker (public/sw.js). After the build it lists every
+// file in the output directory as `precache-manifest.json`, and stamps a hash of their paths and
+// contents into sw.js so browsers install the new worker whenever any of them changes, including
+// files copied under stable names (tracking worker, MediaPipe runtime, decoders). Models are left
+// out: the worker caches the GLBs the catalog refers to, not everything in public/models.
+
+import { createHash } from "node:crypto";
+import { readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+const VERSION_PLACEHOLDER = "__PRECACHE_VERSION__";
+const EXCLUDED = [/^models\//, /^sw\.js$/, /^precache-manifest\.json$/, /\.map$/];
+
+async function listFiles(dir, prefix = "") {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) =>
+      entry.isDirectory()
+        ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+        : [`${prefix}${entry.name}`]
+    )
+  );
+  return files.flat();
+}
+
+/**
+ * Lists the files to precache in a build output directory and versions them by content.
+ * @param {string} outDir Build output directory.
+ * @param {string} base Public base path the files are served under, e.g. "/".
+ * @returns {Promise<{ version: string, files: string[] }>} `files` are URLs under `base`;
+ *   `version` changes whenever a file is added, removed, renamed or edited.
+ */
+export async function buildManifest(outDir, base) {
+  const names = (await listFiles(outDir)).filter((file) => !EXCLUDED.some((pattern) => pattern.test(file))).sort();
+  const hash = createHash("sha256");
+  for (const name of names) {
+    const fileHash = createHash("sha256").update(await readFile(path.join(outDir, name))).digest("hex");
+    hash.update(`${name}\0${fileHash}\n`);
+  }
+  return { version: hash.digest("hex").slice(0, 12), files: names.map((name) => `${base}${name}`) };
+}
+
+/**
+ * @returns {import("vite").Plugin}
+ */
+export function precacheManifest() {
+  let outDir;
+  let base;
+  return {
+    name: "precache-manifest",
+    apply: "build",
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+      base = config.base;
+    },
+    // After every plugin has written its output (static copies included)
+    async closeBundle() {
+      const { version, files } = await buildManifest(outDir, base);
+
+      await writeFile(path.join(outDir, "precache-manifest.json"), JSON.stringify({ version, files }, null, 2));
+      const swFile = path.join(outDir, "sw.js");
+      const sw = await readFile(swFile, "utf8");
+      await writeFile(swFile, sw.replaceAll(VERSION_PLACEHOLDER, version));
+    },
+  };
+}
@@ -0,0 +1,164 @@
+// validate-models.js
+// Cross-checks the accessory catalog (public/catalog.json) against public/models and reports,
+// per model: missing files, files no catalog entry uses, parse errors, how the model is
+// compressed (Draco/Meshopt geometry, KTX2/WebP textures), triangle and texture counts,
+// bounding-box size and how far the origin sits from the model's centre.
+//
+// Usage: npm run validate:models [-- --json]
+// Exits with 1 when there are errors (invalid catalog entries, missing or unreadable models);
+// warnings (unreferenced files, heavy meshes, large textures, large uncompressed files,
+// off-centre pivots) don't fail.
+
+import { readFile, readdir } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ACCESSORY_TYPES } from "../src/accessoryTypes.js";
+import { validateCatalog } from "../src/catalog.js";
+import { inspectModel } from "./gltfInspector.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC_DIR = path.join(ROOT, "public");
+const MODELS_DIR = path.join(PUBLIC_DIR, "models");
+const CATALOG_FILE = path.join(PUBLIC_DIR, "catalog.json");
+
+// Warning thresholds. Accessories share the frame budget with tracking on phones.
+const MAX_TRIANGLES = 100000;
+const MAX_TEXTURE_SIZE = 2048;
+// Files above this size should use Draco/Meshopt geometry or KTX2 textures for mobile connections
+const MAX_UNCOMPRESSED_BYTES = 1024 * 1024;
+// The alignment strategies place the model origin on the tracked anchor, so a pivot away from the
+// model's centre shifts it off the anchor. Warn when the origin is further from the bounding-box
+// centre along an axis than this fraction of the box's size on that axis (0.5 is the box's edge).
+const MAX_PIVOT_OFFSET = 0.25;
+const AXES = ["x", "y", "z"];
+// Axes a type's pivot deliberately sits off-centre on: glasses pivot at the frame front, earrings
+// and necklaces hang from their hook or clasp, headwear sits on its rim. Models the catalog
+// doesn't use are checked on every axis.
+const EXPECTED_PIVOT_AXES = {
+  [ACCESSORY_TYPES.GLASSES]: ["z"],
+  [ACCESSORY_TYPES.EARRINGS]: ["y"],
+  [ACCESSORY_TYPES.NECKLACE]: ["y"],
+  [ACCESSORY_TYPES.HEADWEAR]: ["y"],
+};
+
+const MODEL_PATTERN = /\.(glb|gltf)$/i;
+
+function formatVector(values, digits = 3) {
+  return values.map((value) => value.toFixed(digits)).join(" x ");
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} kB`;
+}
+
+function formatCompression({ geometry, textures, quantized }) {
+  const parts = [
+    geometry.length ? `${geometry.join("+")} geometry` : "uncompressed geometry",
+    quantized && "quantized",
+    textures.length && `${textures.join("+")} textures`,
+  ];
+  return parts.filter(Boolean).join(", ");
+}
+
+// Warnings for a parsed model of the given accessory type (undefined when no entry uses it)
+function assessModel(info, type) {
+  const warnings = [];
+  const { geometry, textures } = info.compression;
+  if (info.fileSize > MAX_UNCOMPRESSED_BYTES && geometry.length === 0 && textures.length === 0) {
+    warnings.push(`${formatBytes(info.fileSize)} without geometry or texture compression`);
+  }
+  if (info.triangles > MAX_TRIANGLES) warnings.push(`${info.triangles} triangles (budget ${MAX_TRIANGLES})`);
+  info.textures
+    .filter((texture) => Math.max(texture.width || 0, texture.height || 0) > MAX_TEXTURE_SIZE)
+    .forEach((texture) => warnings.push(`texture "${texture.name}" is ${texture.width}x${texture.height}`));
+  if (!info.boundingBox) {
+    warnings.push("no geometry in the default scene");
+  } else {
+    const { center, size } = info.boundingBox;
+    const expected = EXPECTED_PIVOT_AXES[type] || [];
+    const offCentre = AXES.map((axis, i) => ({ axis, relative: Math.abs(center[i]) / Math.max(size[i], Number.EPSILON) }))
+      .filter(({ axis, relative }) => relative > MAX_PIVOT_OFFSET && !expected.includes(axis))
+      .map(({ axis, relative }) => `${(relative * 100).toFixed(0)}% of the size along ${axis}`);
+    if (offCentre.length) warnings.push(`off-centre pivot: origin is ${offCentre.join(", ")} from the centre`);
+  }
+  return warnings;
+}
+
+async function main() {
+  const asJson = process.argv.includes("--json");
+  const errors = [];
+  const warnings = [];
+  const models = [];
+
+  const manifest = JSON.parse(await readFile(CATALOG_FILE, "utf8"));
+  const { accessories, issues } = validateCatalog(manifest);
+  issues.forEach((issue) => errors.push(`catalog: ${issue.id ? `${issue.id}: ` : ""}${issue.message}`));
+
+  // Every catalog model, then every model file no entry refers to (still checked, so a file
+  // can be vetted before it is added to the catalog)
+  const targets = accessories.map((accessory) => ({
+    id: accessory.id,
+    type: accessory.type,
+    file: path.join(PUBLIC_DIR, accessory.path),
+  }));
+  const referenced = new Set(targets.map((target) => path.resolve(target.file)));
+  (await readdir(MODELS_DIR))
+    .filter((file) => MODEL_PATTERN.test(file) && !referenced.has(path.resolve(MODELS_DIR, file)))
+    .forEach((file) => {
+      targets.push({ id: null, file: path.join(MODELS_DIR, file) });
+      warnings.push(`models/${file}: not referenced by the catalog`);
+    });
+
+  for (const { id, type, file } of targets) {
+    const name = path.relative(PUBLIC_DIR, file);
+    const label = id ? `${name} (${id})` : name;
+    try {
+      const info = await inspectModel(file);
+      const modelWarnings = assessModel(info, type);
+      modelWarnings.forEach((warning) => warnings.push(`${label}: ${warning}`));
+      models.push({ id, file: name, ...info, warnings: modelWarnings });
+    } catch (err) {
+      const message = err.code === "ENOENT" ? "file not found" : `parse error: ${err.message}`;
+      errors.push(`${label}: ${message}`);
+      models.push({ id, file: name, error: message });
+    }
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify({ models, errors, warnings }, null, 2));
+  } else {
+    models.forEach((model) => {
+      if (model.error) {
+        console.log(`✖ ${model.file} [${model.id || "unreferenced"}] ${model.error}`);
+        return;
+      }
+      const textures = model.textures
+        .map((texture) => (texture.width ? `${texture.width}x${texture.height} ${texture.format}` : "?"))
+        .join(", ");
+      const icon = model.warnings.length || !model.id ? "⚠" : "✔";
+      console.log(`${icon} ${model.file} [${model.id || "unreferenced"}] ${formatBytes(model.fileSize)}`);
+      console.log(`    ${formatCompression(model.compression)}`);
+      console.log(
+        `    triangles ${model.triangles}, meshes ${model.meshes}, textures ${model.textures.length}` +
+          (textures ? ` (${textures})` : "")
+      );
+      if (model.boundingBox) {
+        console.log(
+          `    size ${formatVector(model.boundingBox.size)}, origin offset from centre ${formatVector(
+            model.boundingBox.center.map((value) => -value)
+          )}`
+        );
+      }
+    });
+    if (warnings.length) console.log(`\nWarnings (${warnings.length}):\n${warnings.map((w) => `  - ${w}`).join("\n")}`);
+    if (errors.length) console.log(`\nErrors (${errors.length}):\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    console.log(`\n${models.length} models checked, ${errors.length} errors, ${warnings.length} warnings`);
+  }
+
+  process.exitCode = errors.length > 0 ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,50 +1,287 @@
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import FaceMeshViewer from "./FaceMeshViewer";
 import GeminiAgentController from "./GeminiAgentController";
+import Lookbook from "./Lookbook";
+import { downloadSession, parseSession } from "./sessionRecorder";
+import { ACCESSORY_SLOTS, getAccessorySlot } from "./accessoryTypes";
+import { getLocalUserId, loadFitAdjustments, saveFitAdjustment } from "./fitAdjustments";
+import { assessFrameFit } from "./faceMeasurements";
+import { recommendAccessories } from "./recommendations";
+import { FACING_MODES, listVideoInputs } from "./cameraDevices";
+import { downloadBlob } from "./snapshot";
+import { addLook } from "./lookbook";
+import { loadCatalog } from "./catalog";
 
-
-// Accessory type definitions with their specific configurations
-const ACCESSORY_TYPES = {
-  GLASSES: 'glasses',
-  EARRINGS: 'earrings',
-  NECKLACE: 'necklace',
-  T_SHIRT: 't-shirt',
+// Outfit slots in display order
+const SLOT_LABELS = {
+  [ACCESSORY_SLOTS.HEAD]: "Head",
+  [ACCESSORY_SLOTS.EYES]: "Eyes",
+  [ACCESSORY_SLOTS.EARS]: "Ears",
+  [ACCESSORY_SLOTS.NECK]: "Neck",
+  [ACCESSORY_SLOTS.TORSO]: "Torso",
+  [ACCESSORY_SLOTS.HANDS]: "Hands",
 };
 
-// Define available accessories with metadata
-const ACCESSORIES = [
-  // Glasses
-  { id: 'aviator', name: "Aviator", path: "/models/glasses1.glb", type: ACCESSORY_TYPES.GLASSES, category: "Glasses" },
-  { id: 'stylish', name: "Stylish", path: "/models/glasses2.glb", type: ACCESSORY_TYPES.GLASSES, category: "Glasses" },
-  { id: 'round', name: "Round", path: "/models/glasses3.glb", type: ACCESSORY_TYPES.GLASSES, category: "Glasses" },
-  
-  // Earrings
-  { id: 'sapphire', name: "Sapphire", path: "/models/sapphire_earring.glb", type: ACCESSORY_TYPES.EARRINGS, category: "Earrings" },
-  { id: 'golden', name: "Golden", path: "/models/golden_earring.glb", type: ACCESSORY_TYPES.EARRINGS, category: "Earrings" },
-  { id: 'louboutin', name: "Louboutin ", path: "/models/earrings2.glb", type: ACCESSORY_TYPES.EARRINGS, category: "Earrings" },
-  { id: 'amesthys', name: "Amesthys  ", path: "/models/earrings3.glb", type: ACCESSORY_TYPES.EARRINGS, category: "Earrings" },
-  { id: 'jhumka', name: "Jhumka  ", path: "/models/earrings4.glb", type: ACCESSORY_TYPES.EARRINGS, category: "Earrings" },
-
-  // Necklaces
-  { id: 'pearl-necklace', name: "Pearls", path: "/models/gemstone_necklace.glb", type: ACCESSORY_TYPES.NECKLACE, category: "Necklaces" },
-  { id: 'elegant-jewel', name: "Elegant Jewel", path: "/models/necklace2.glb", type: ACCESSORY_TYPES.NECKLACE, category: "Necklaces" },
-  { id: 'orbit-pendant', name: "Orbit Pendant", path: "/models/necklace3.glb", type: ACCESSORY_TYPES.NECKLACE, category: "Necklaces" },
-
-  // T-Shirts
-  { id: 'classic-tshirt', name: "Classic Tee", path: "/models/tshirt_with_etecet.glb", type: ACCESSORY_TYPES.T_SHIRT, category: "T-Shirts" },
-//   { id: 'diamond-pendant', name: "Pendant", path: "/models/diamond_pendant.glb", type: ACCESSORY_TYPES.NECKLACE, category: "Necklaces" },
-];
+// Worn until the user picks something else, once the catalog has loaded
+const DEFAULT_ACCESSORY_ID = "round";
 
 export default function App() {
   const [isModelLoaded, setIsModelLoaded] = useState(false);
   const [isAccessoryLoaded, setIsAccessoryLoaded] = useState(false);
   const [debugInfo, setDebugInfo] = useState("");
   const [status, setStatus] = useState("Initializing...");
-  const [selectedAccessory, setSelectedAccessory] = useState(ACCESSORIES[2]); // Default to Round glasses
+  // Accessories from the catalog manifest (see catalog.js), and entries that were left out
+  const [catalog, setCatalog] = useState({ accessories: [], issues: [], loaded: false });
+  // Worn accessories keyed by outfit slot, at most one per slot
+  const [outfit, setOutfit] = useState({});
   const [activeCategory, setActiveCategory] = useState("Glasses");
+  const [isRecordingSession, setIsRecordingSession] = useState(false);
+  const [replaySession, setReplaySession] = useState(null);
+  const [measurements, setMeasurements] = useState(null);
+  const [faceShape, setFaceShape] = useState(null);
+  const [userId] = useState(getLocalUserId);
+  const [fitAdjustments, setFitAdjustments] = useState(() => loadFitAdjustments(userId));
+  // Outfit slot being adjusted in Adjust fit mode, or null
+  const [adjustSlot, setAdjustSlot] = useState(null);
+  // A/B compare of the accessory worn in `slot` against another item for that slot
+  const [compare, setCompare] = useState(null);
+  const [videoInputs, setVideoInputs] = useState([]);
+  // Camera to open: a specific device, or whichever one faces the given way
+  const [cameraSource, setCameraSource] = useState({ deviceId: null, facingMode: FACING_MODES.FRONT });
+  const [activeDeviceId, setActiveDeviceId] = useState(null);
+  const [mirrored, setMirrored] = useState(true);
+  const [showPerformance, setShowPerformance] = useState(false);
+  // Uploaded photo tried on instead of the camera, or null
+  const [photo, setPhoto] = useState(null);
+  const [snapshotRequest, setSnapshotRequest] = useState(0);
+  // What the pending snapshot is for: a PNG download, or a look saved with the outfit worn
+  const snapshotTargetRef = useRef(null);
+  const [lookbookVersion, setLookbookVersion] = useState(0);
+  // Video file being processed offline, and its progress (0..1)
+  const [videoFile, setVideoFile] = useState(null);
+  const [videoProgress, setVideoProgress] = useState(0);
+
+  useEffect(() => {
+    loadCatalog().then(({ accessories, issues }) => {
+      issues.forEach((issue) => console.warn("Catalog issue:", issue.id || "catalog", issue.message));
+      setCatalog({ accessories, issues, loaded: true });
+      const defaultAccessory = accessories.find((accessory) => accessory.id === DEFAULT_ACCESSORY_ID);
+      if (defaultAccessory) {
+        setOutfit((current) =>
+          Object.keys(current).length > 0 ? current : { [getAccessorySlot(defaultAccessory)]: defaultAccessory }
+        );
+      }
+    });
+  }, []);
+
+  // A model that passed the startup checks but still fails to load is reported and taken off
+  const handleAccessoryError = useCallback((accessory, error) => {
+    setCatalog((current) => ({
+      ...current,
+      issues: [...current.issues, { id: accessory.id, message: `Failed to load model: ${error?.message || error}` }],
+    }));
+    setOutfit((current) => {
+      const slot = getAccessorySlot(accessory);
+      if (current[slot]?.id !== accessory.id) return current;
+      const next = { ...current };
+      delete next[slot];
+      return next;
+    });
+  }, []);
+
+  // Release the previous photo's object URL when it is replaced or closed
+  useEffect(() => {
+    if (!photo) return;
+    return () => URL.revokeObjectURL(photo.src);
+  }, [photo]);
+
+  const loadPhoto = async (file) => {
+    if (!file || !file.type.startsWith("image/")) return;
+    const image = new Image();
+    image.src = URL.createObjectURL(file);
+    try {
+      await image.decode();
+      setIsRecordingSession(false);
+      setReplaySession(null);
+      setVideoFile(null);
+      setPhoto(image);
+    } catch (err) {
+      URL.revokeObjectURL(image.src);
+      console.error("Failed to load photo:", err);
+      setStatus(`Failed to load photo: ${file.name}`);
+    }
+  };
+
+  const handlePhotoFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    loadPhoto(file);
+  };
+
+  const requestSnapshot = (target) => {
+    snapshotTargetRef.current = target;
+    setSnapshotRequest((n) => n + 1);
+  };
+
+  const handleSnapshot = async (blob) => {
+    const target = snapshotTargetRef.current;
+    snapshotTargetRef.current = null;
+    if (target?.type !== "lookbook") {
+      downloadBlob(blob, `try-on-${Date.now()}.png`);
+      return;
+    }
+    try {
+      await addLook({ image: blob, accessories: target.accessories });
+      setLookbookVersion((n) => n + 1);
+    } catch (err) {
+      console.error("Failed to save look:", err);
+      setStatus("Failed to save look");
+    }
+  };
+
+  const handleVideoFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    setIsRecordingSession(false);
+    setReplaySession(null);
+    setPhoto(null);
+    setVideoProgress(0);
+    setVideoFile(file);
+  };
+
+  const handleVideoProcessed = (blob) => {
+    if (blob) downloadBlob(blob, `${videoFile.name.replace(/\.[^.]+$/, "")}-try-on.webm`);
+    setVideoFile(null);
+  };
+
+  const handlePhotoDrop = (event) => {
+    event.preventDefault();
+    loadPhoto(event.dataTransfer.files?.[0]);
+  };
+
+  const refreshVideoInputs = useCallback(() => {
+    listVideoInputs()
+      .then(setVideoInputs)
+      .catch((err) => console.warn("Failed to list cameras:", err));
+  }, []);
+
+  useEffect(() => {
+    refreshVideoInputs();
+    navigator.mediaDevices?.addEventListener?.("devicechange", refreshVideoInputs);
+    return () => navigator.mediaDevices?.removeEventListener?.("devicechange", refreshVideoInputs);
+  }, [refreshVideoInputs]);
+
+  // Device labels only become available once a camera is streaming
+  const handleCameraChange = useCallback(
+    (settings) => {
+      setActiveDeviceId(settings.deviceId || null);
+      refreshVideoInputs();
+    },
+    [refreshVideoInputs]
+  );
+
+  // Front cameras are shown as a mirror, back cameras as they are
+  const selectFacingMode = (facingMode) => {
+    setCameraSource({ deviceId: null, facingMode });
+    setMirrored(facingMode === FACING_MODES.FRONT);
+  };
+
+  const handleFitAdjust = useCallback(
+    (accessoryId, adjustment) => {
+      setFitAdjustments((current) => {
+        const next = { ...current };
+        if (adjustment) {
+          next[accessoryId] = adjustment;
+        } else {
+          delete next[accessoryId];
+        }
+        return next;
+      });
+      saveFitAdjustment(userId, accessoryId, adjustment);
+    },
+    [userId]
+  );
+
+  const handleAdjustEnd = useCallback(() => setAdjustSlot(null), []);
+
+  const handleSessionFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const session = parseSession(await file.text());
+      // Restore the outfit that was worn when the session was recorded
+      const recordedIds = (session.outfit || []).map((item) => item.id);
+      const recordedOutfit = {};
+      catalog.accessories.filter((a) => recordedIds.includes(a.id)).forEach((a) => {
+        recordedOutfit[getAccessorySlot(a)] = a;
+      });
+      if (Object.keys(recordedOutfit).length > 0) setOutfit(recordedOutfit);
+      setIsRecordingSession(false);
+      setPhoto(null);
+      setVideoFile(null);
+      setReplaySession(session);
+    } catch (err) {
+      console.error("Failed to load session:", err);
+      setStatus(`Failed to load session: ${err.message}`);
+    }
+  };
+
+  // Wear an accessory in its slot, or take it off if it is already worn
+  const toggleAccessory = (accessory) => {
+    const slot = getAccessorySlot(accessory);
+    setOutfit((current) => {
+      const next = { ...current };
+      if (current[slot]?.id === accessory.id) {
+        delete next[slot];
+      } else {
+        next[slot] = accessory;
+      }
+      return next;
+    });
+  };
+
+  const removeSlot = (slot) => {
+    if (adjustSlot === slot) setAdjustSlot(null);
+    setOutfit((current) => {
+      const next = { ...current };
+      delete next[slot];
+      return next;
+    });
+  };
+
+  // Other catalog items that can be compared against what is worn in a slot
+  const compareCandidates = (slot) =>
+    catalog.accessories.filter((accessory) => getAccessorySlot(accessory) === slot && accessory.id !== outfit[slot]?.id);
+
+  const compareItem =
+    compare && outfit[compare.slot] ? compareCandidates(compare.slot).find((item) => item.id === compare.accessoryId) : null;
+
+  const toggleCompare = (slot) => {
+    if (compare?.slot === slot) {
+      setCompare(null);
+      return;
+    }
+    const [candidate] = compareCandidates(slot);
+    if (candidate) setCompare({ slot, accessoryId: candidate.id });
+  };
+
+  // Wear B instead of A, so A becomes the one compared against
+  const swapCompare = () => {
+    const worn = outfit[compare.slot];
+    setOutfit((current) => ({ ...current, [compare.slot]: compareItem }));
+    setCompare({ slot: compare.slot, accessoryId: worn.id });
+  };
+
+  const wornItems = Object.values(outfit);
+  const suggestions = faceShape
+    ? recommendAccessories(faceShape.shape, catalog.accessories, { exclude: wornItems.map((item) => item.id) })
+    : [];
 
   // Group accessories by category
-  const accessoriesByCategory = ACCESSORIES.reduce((acc, accessory) => {
+  const accessoriesByCategory = catalog.accessories.reduce((acc, accessory) => {
     if (!acc[accessory.category]) {
       acc[accessory.category] = [];
     }
@@ -54,24 +291,56 @@ export default function App() {
 
   const categories = Object.keys(accessoriesByCategory);
 
+  // The items next to the one worn from the active category (or its first items) are downloaded
+  // ahead, so stepping through the category doesn't wait for the network
+  const categoryItems = accessoriesByCategory[activeCategory] || [];
+  const wornIndex = categoryItems.findIndex((item) => outfit[getAccessorySlot(item)]?.id === item.id);
+  const neighbourPaths = (wornIndex >= 0 ? [wornIndex - 1, wornIndex + 1] : [0, 1])
+    .map((index) => categoryItems[index]?.path)
+    .filter(Boolean);
+
   return (
     <div style={styles.container}>
-      {/* Main viewer */}
-      <div style={{ position: "relative" }}>
+      {/* Main viewer (photos can be dropped onto it) */}
+      <div style={{ position: "relative" }} onDragOver={(event) => event.preventDefault()} onDrop={handlePhotoDrop}>
         <FaceMeshViewer
           setDebugInfo={setDebugInfo}
           setIsAccessoryLoaded={setIsAccessoryLoaded}
           setIsModelLoaded={setIsModelLoaded}
           setStatus={setStatus}
-          accessory={selectedAccessory}
+          outfit={outfit}
+          isRecording={isRecordingSession}
+          onSessionRecorded={(session) => downloadSession(session)}
+          replaySession={replaySession}
+          onReplayEnd={() => setReplaySession(null)}
+          fitAdjustments={fitAdjustments}
+          adjustSlot={outfit[adjustSlot] ? adjustSlot : null}
+          onFitAdjust={handleFitAdjust}
+          onAdjustEnd={handleAdjustEnd}
+          onMeasurements={setMeasurements}
+          onFaceShape={setFaceShape}
+          cameraSource={cameraSource}
+          mirrored={mirrored}
+          onCameraChange={handleCameraChange}
+          photo={photo}
+          snapshotRequest={snapshotRequest}
+          onSnapshot={handleSnapshot}
+          videoFile={videoFile}
+          onVideoProgress={setVideoProgress}
+          onVideoProcessed={handleVideoProcessed}
+          onClipRecorded={(blob) => downloadBlob(blob, `try-on-clip-${Date.now()}.webm`)}
+          compare={compareItem ? { slot: compare.slot, accessory: compareItem } : null}
+          onAccessoryError={handleAccessoryError}
+          prefetch={neighbourPaths}
+          showPerformance={showPerformance}
         />
         {/* <BodyMeshViewer /> */}
         
         {/* Info overlay */}
         <div style={styles.infoOverlay}>
           <div>👁️ Face Tracking: {isModelLoaded ? "✅ Active" : "⏳ Loading..."}</div>
-          <div>🎨 {selectedAccessory.category}: {isAccessoryLoaded ? "✅ Loaded" : "⏳ Loading..."}</div>
-          <div>🎯 Type: {selectedAccessory.type}</div>
+          <div>🎨 Outfit ({wornItems.length}): {isAccessoryLoaded ? "✅ Loaded" : "⏳ Loading..."}</div>
+          <div>🎯 Types: {wornItems.map((item) => item.type).join(", ") || "none"}</div>
           <div style={{ wordBreak: 'break-word', marginTop: '8px' }}>Status: {status}</div>
           {debugInfo && <div style={{ marginTop: '8px', fontSize: '9px' }}>Debug: {debugInfo}</div>}
         </div>
@@ -85,20 +354,19 @@ export default function App() {
         <div style={styles.categorySection}>
           <h3 style={styles.sectionTitle}>Select Category</h3>
           <div style={styles.categoryButtons}>
-            {categories.map((category) => (
-              <button
-                key={category}
-                onClick={() => {
-                  setActiveCategory(category);
-                  // Auto-select first item in new category
-                  const firstInCategory = accessoriesByCategory[category][0];
-                  setSelectedAccessory(firstInCategory);
-                }}
-                style={styles.categoryButton(activeCategory === category)}
-              >
-                {category}
-              </button>
-            ))}
+            {categories.map((category) => {
+              const wornInCategory = wornItems.find((item) => item.category === category);
+              return (
+                <button
+                  key={category}
+                  onClick={() => setActiveCategory(category)}
+                  style={styles.categoryButton(activeCategory === category)}
+                >
+                  {category}
+                  {wornInCategory && <div style={styles.wornLabel}>{wornInCategory.name}</div>}
+                </button>
+              );
+            })}
           </div>
         </div>
 
@@ -106,15 +374,275 @@ export default function App() {
         <div style={styles.accessorySection}>
           <h3 style={styles.sectionTitle}>{activeCategory}</h3>
           <div style={styles.accessoryGrid}>
-            {accessoriesByCategory[activeCategory]?.map((accessory) => (
-              <button
-                key={accessory.id}
-                onClick={() => setSelectedAccessory(accessory)}
-                style={styles.accessoryButton(selectedAccessory.id === accessory.id)}
+            {accessoriesByCategory[activeCategory]?.map((accessory) => {
+              const frameFit = assessFrameFit(accessory.frameWidth, measurements);
+              return (
+                <button
+                  key={accessory.id}
+                  onClick={() => toggleAccessory(accessory)}
+                  style={styles.accessoryButton(outfit[getAccessorySlot(accessory)]?.id === accessory.id)}
+                >
+                  {accessory.name}
+                  {frameFit && <div style={styles.fitBadge(frameFit)}>{FRAME_FIT_LABELS[frameFit]}</div>}
+                </button>
+              );
+            })}
+          </div>
+          {!catalog.loaded && <p style={styles.instructionText}>Loading catalog...</p>}
+        </div>
+
+        {/* Catalog entries that were left out */}
+        {catalog.issues.length > 0 && (
+          <div style={styles.accessorySection}>
+            <h3 style={styles.sectionTitle}>⚠️ Catalog Issues ({catalog.issues.length})</h3>
+            <ul style={styles.issueList}>
+              {catalog.issues.map((issue, index) => (
+                <li key={index}>
+                  {issue.id && <strong>{issue.id}: </strong>}
+                  {issue.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Facial measurements */}
+        <div style={styles.accessorySection}>
+          <h3 style={styles.sectionTitle}>Your Measurements</h3>
+          {measurements ? (
+            <div style={styles.measurementGrid}>
+              <div>
+                <strong>PD</strong>
+                <div>{measurements.pupillaryDistance.toFixed(1)} mm</div>
+              </div>
+              <div>
+                <strong>Face width</strong>
+                <div>{measurements.faceWidth.toFixed(0)} mm</div>
+              </div>
+              <div>
+                <strong>Temple width</strong>
+                <div>{measurements.templeWidth.toFixed(0)} mm</div>
+              </div>
+            </div>
+          ) : (
+            <p style={styles.instructionText}>Look straight at the camera to measure your face</p>
+          )}
+        </div>
+
+        {/* Face shape suggestions */}
+        <div style={styles.accessorySection}>
+          <h3 style={styles.sectionTitle}>Suggested for you</h3>
+          {faceShape ? (
+            <>
+              <p style={styles.instructionText}>
+                Face shape: <strong>{faceShape.shape}</strong>
+              </p>
+              {suggestions.map(({ accessory, reason }) => (
+                <div key={accessory.id} style={styles.outfitRow}>
+                  <span>
+                    <strong>{accessory.name}</strong>
+                    <div style={styles.wornLabel}>{reason}</div>
+                  </span>
+                  <button onClick={() => toggleAccessory(accessory)} style={styles.removeButton}>
+                    Try on
+                  </button>
+                </div>
+              ))}
+              {suggestions.length === 0 && <p style={styles.instructionText}>No further suggestions</p>}
+            </>
+          ) : (
+            <p style={styles.instructionText}>Look straight at the camera for a few seconds to get suggestions</p>
+          )}
+        </div>
+
+        {/* Current outfit */}
+        <div style={styles.accessorySection}>
+          <h3 style={styles.sectionTitle}>Your Outfit</h3>
+          {Object.keys(SLOT_LABELS)
+            .filter((slot) => outfit[slot])
+            .map((slot) => (
+              <div key={slot} style={styles.outfitRow}>
+                <span>
+                  <strong>{SLOT_LABELS[slot]}:</strong> {outfit[slot].name}
+                  {fitAdjustments[outfit[slot].id] && " (adjusted)"}
+                </span>
+                <span>
+                  {compareCandidates(slot).length > 0 && (
+                    <>
+                      <button onClick={() => toggleCompare(slot)} style={styles.removeButton} title="Compare A/B">
+                        {compare?.slot === slot ? "✔ A/B" : "⚖️ A/B"}
+                      </button>{" "}
+                    </>
+                  )}
+                  <button
+                    onClick={() => setAdjustSlot(adjustSlot === slot ? null : slot)}
+                    style={styles.removeButton}
+                    title="Adjust fit"
+                  >
+                    {adjustSlot === slot ? "✔ Done" : "✋ Adjust fit"}
+                  </button>{" "}
+                  <button onClick={() => removeSlot(slot)} style={styles.removeButton} title="Remove">
+                    ✕
+                  </button>
+                </span>
+              </div>
+            ))}
+          {compareItem && (
+            <div style={styles.adjustHint}>
+              <p style={styles.instructionText}>
+                A: <strong>{outfit[compare.slot].name}</strong> on the left, B on the right. Drag the divider on the
+                viewer to compare.
+              </p>
+              <select
+                value={compare.accessoryId}
+                onChange={(event) => setCompare({ slot: compare.slot, accessoryId: event.target.value })}
+                style={styles.deviceSelect}
               >
-                {accessory.name}
+                {compareCandidates(compare.slot).map((accessory) => (
+                  <option key={accessory.id} value={accessory.id}>
+                    {accessory.name}
+                  </option>
+                ))}
+              </select>
+              <button onClick={swapCompare} style={styles.removeButton}>
+                ⇄ Wear B
               </button>
-            ))}
+            </div>
+          )}
+          {wornItems.length === 0 && <p style={styles.instructionText}>Nothing selected yet</p>}
+          {outfit[adjustSlot] && (
+            <div style={styles.adjustHint}>
+              <p style={styles.instructionText}>
+                Drag to move, Shift+drag to tilt, scroll to resize. Keys: arrows move, +/- resize, Q/E tilt, A/D turn,
+                W/S nod, R reset, Esc done.
+              </p>
+              <button onClick={() => handleFitAdjust(outfit[adjustSlot].id, null)} style={styles.removeButton}>
+                ↺ Reset fit
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Input source */}
+        <div style={styles.accessorySection}>
+          <h3 style={styles.sectionTitle}>Camera</h3>
+          {videoInputs.length > 1 && (
+            <select
+              value={cameraSource.deviceId || activeDeviceId || ""}
+              onChange={(event) => setCameraSource({ ...cameraSource, deviceId: event.target.value || null })}
+              style={styles.deviceSelect}
+            >
+              {videoInputs.map((device) => (
+                <option key={device.deviceId} value={device.deviceId}>
+                  {device.label}
+                </option>
+              ))}
+            </select>
+          )}
+          <div style={styles.categoryButtons}>
+            <button
+              onClick={() => selectFacingMode(FACING_MODES.FRONT)}
+              style={styles.categoryButton(!cameraSource.deviceId && cameraSource.facingMode === FACING_MODES.FRONT)}
+            >
+              🤳 Front
+            </button>
+            <button
+              onClick={() => selectFacingMode(FACING_MODES.BACK)}
+              style={styles.categoryButton(!cameraSource.deviceId && cameraSource.facingMode === FACING_MODES.BACK)}
+            >
+              📷 Back
+            </button>
+            <button onClick={() => setMirrored((value) => !value)} style={styles.categoryButton(mirrored)}>
+              🪞 Mirror
+            </button>
+            <button onClick={() => setShowPerformance((value) => !value)} style={styles.categoryButton(showPerformance)}>
+              📊 Performance
+            </button>
+          </div>
+        </div>
+
+        {/* Photo try-on */}
+        <div style={styles.accessorySection}>
+          <h3 style={styles.sectionTitle}>Photo</h3>
+          <div style={styles.categoryButtons}>
+            <label style={styles.categoryButton(false)}>
+              🖼️ {photo ? "Change photo" : "Upload photo"}
+              <input type="file" accept="image/*" onChange={handlePhotoFile} hidden />
+            </label>
+            {photo && (
+              <>
+                <button onClick={() => requestSnapshot({ type: "download" })} style={styles.categoryButton(false)}>
+                  💾 Export PNG
+                </button>
+                <button onClick={() => setPhoto(null)} style={styles.categoryButton(true)}>
+                  📷 Back to camera
+                </button>
+              </>
+            )}
+          </div>
+          {!photo && <p style={styles.instructionText}>Or drop a photo onto the viewer</p>}
+        </div>
+
+        {/* Offline video file processing */}
+        <div style={styles.accessorySection}>
+          <h3 style={styles.sectionTitle}>Video File</h3>
+          {videoFile ? (
+            <>
+              <div style={styles.progressTrack}>
+                <div style={styles.progressBar(videoProgress)} />
+              </div>
+              <div style={styles.outfitRow}>
+                <span>
+                  {videoFile.name}: {Math.round(videoProgress * 100)}%
+                </span>
+                <button onClick={() => setVideoFile(null)} style={styles.removeButton}>
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : (
+            <label style={styles.categoryButton(false)}>
+              🎞️ Process MP4/WebM
+              <input type="file" accept="video/mp4,video/webm" onChange={handleVideoFile} hidden />
+            </label>
+          )}
+        </div>
+
+        {/* Lookbook */}
+        <div style={styles.accessorySection}>
+          <h3 style={styles.sectionTitle}>Lookbook</h3>
+          <Lookbook
+            refreshKey={lookbookVersion}
+            onTakePhoto={() =>
+              requestSnapshot({
+                type: "lookbook",
+                accessories: wornItems.map(({ id, name, type }) => ({ id, name, type })),
+              })
+            }
+          />
+        </div>
+
+        {/* Session recording / replay */}
+        <div style={styles.accessorySection}>
+          <h3 style={styles.sectionTitle}>Session</h3>
+          <div style={styles.categoryButtons}>
+            <button
+              onClick={() => setIsRecordingSession((recording) => !recording)}
+              disabled={!!replaySession || !!photo || !!videoFile}
+              style={styles.categoryButton(isRecordingSession)}
+            >
+              {isRecordingSession ? "⏹️ Stop & Save" : "🔴 Record"}
+            </button>
+            {replaySession ? (
+              <button onClick={() => setReplaySession(null)} style={styles.categoryButton(true)}>
+                ⏹️ Stop Replay
+              </button>
+            ) : (
+              <label style={styles.categoryButton(false)}>
+                ▶️ Replay
+                <input type="file" accept="application/json,.json" onChange={handleSessionFile} hidden />
+              </label>
+            )}
           </div>
         </div>
 
@@ -133,6 +661,12 @@ export default function App() {
   );
 }
 
+const FRAME_FIT_LABELS = {
+  good: "✓ Fits you",
+  narrow: "⚠ Too narrow",
+  wide: "⚠ Too wide",
+};
+
 // --- Styles ---
 const styles = {
   container: {
@@ -202,9 +736,78 @@ const styles = {
     transition: "all 0.3s ease",
     boxShadow: isActive ? "0 4px 12px rgba(102,126,234,0.4)" : "none",
   }),
+  wornLabel: {
+    fontSize: "11px",
+    fontWeight: "400",
+    opacity: 0.85,
+  },
   accessorySection: {
     marginBottom: "25px",
   },
+  outfitRow: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: "6px 0",
+    fontSize: "13px",
+    color: "#444",
+  },
+  fitBadge: (fit) => ({
+    fontSize: "11px",
+    fontWeight: "500",
+    marginTop: "4px",
+    color: fit === "good" ? "#2e7d32" : "#e67e22",
+  }),
+  progressTrack: {
+    height: "6px",
+    borderRadius: "3px",
+    backgroundColor: "#eee",
+    overflow: "hidden",
+  },
+  progressBar: (progress) => ({
+    width: `${Math.round(progress * 100)}%`,
+    height: "100%",
+    backgroundColor: "#667eea",
+  }),
+  deviceSelect: {
+    width: "100%",
+    padding: "8px",
+    marginBottom: "10px",
+    fontSize: "13px",
+    borderRadius: "8px",
+    border: "1px solid #ddd",
+  },
+  measurementGrid: {
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr 1fr",
+    gap: "8px",
+    fontSize: "13px",
+    color: "#444",
+    textAlign: "center",
+  },
+  issueList: {
+    margin: 0,
+    paddingLeft: "18px",
+    fontSize: "12px",
+    color: "#b71c1c",
+    maxHeight: "140px",
+    overflowY: "auto",
+  },
+  adjustHint: {
+    backgroundColor: "#eef0fd",
+    padding: "8px 12px",
+    borderRadius: "8px",
+    marginTop: "8px",
+  },
+  removeButton: {
+    padding: "2px 8px",
+    fontSize: "12px",
+    cursor: "pointer",
+    backgroundColor: "#f5f5f5",
+    color: "#333",
+    border: "none",
+    borderRadius: "6px",
+  },
   accessoryGrid: {
     display: "grid",
     gridTemplateColumns: "1fr 1fr",
@@ -1,43 +1,280 @@
 import React, { useEffect, useRef, useState } from "react";
 import * as THREE from "three";
 import { FACEMESH_TRIANGULATION } from "./triangulation";
+import { MESH_ANNOTATIONS } from "./keypoints";
+import { createSessionRecorder, createSessionPlayer } from "./sessionRecorder";
+import { createAlignmentFilter } from "./alignmentFilter";
+import { solveHeadPose } from "./headPose";
+import { HAND_LANDMARKS, solveHandPose } from "./handPose";
+import { ACCESSORY_SLOTS, ACCESSORY_TYPES } from "./accessoryTypes";
+import { normalizeFitAdjustment } from "./fitAdjustments";
+import { createMeasurementTracker } from "./faceMeasurements";
+import { createFaceShapeTracker } from "./faceShape";
+import { TRACKING_STATES, computeTrackingConfidence, createTrackingStateMachine } from "./trackingState";
+import { FACING_MODES, openCameraStream, stopStream } from "./cameraDevices";
+import { canvasToBlob, composeSnapshot } from "./snapshot";
+import { processVideo, waitForMetadata } from "./videoProcessor";
+import { createClipRecorder } from "./clipRecorder";
+import { createAssetManager } from "./assetManager";
+import { createTrackingWorker } from "./trackingWorker";
+import { createPerformanceMonitor } from "./performanceMonitor";
+import { QUALITY_LEVELS, createQualityController } from "./adaptiveQuality";
+
+// Viewer layout the fit scale multipliers were calibrated in: a 720x620 video shown at its own size
+const REFERENCE_FRAME = { width: 720, height: 620 };
+
+// How often (ms) averaged face measurements are reported to the UI
+const MEASUREMENT_INTERVAL = 500;
+
+// Accessory types anchored to hand landmarks instead of the face or pose
+const HAND_ACCESSORY_TYPES = [ACCESSORY_TYPES.RING, ACCESSORY_TYPES.BRACELET, ACCESSORY_TYPES.WATCH];
+
+// Accessory types placed without face landmarks; an outfit of only these can drop refined face
+// landmarks at reduced quality (see QUALITY_LEVELS in adaptiveQuality.js)
+const BODY_ACCESSORY_TYPES = [ACCESSORY_TYPES.NECKLACE, ACCESSORY_TYPES.T_SHIRT, ...HAND_ACCESSORY_TYPES];
+
+// How often (ms) the performance HUD and the adaptive quality controller are updated
+const PERFORMANCE_UPDATE_INTERVAL = 500;
+
+// Depth plane (world z) of the face occluder; headwear is centred on it so its back rim falls behind the head
+const FACE_PLANE_Z = -0.15;
+
+// Upper half of the face silhouette, from the right temple (234) over the forehead to the left temple (454)
+const UPPER_SILHOUETTE = [
+  ...MESH_ANNOTATIONS.silhouette.slice(MESH_ANNOTATIONS.silhouette.indexOf(234)),
+  ...MESH_ANNOTATIONS.silhouette.slice(0, MESH_ANNOTATIONS.silhouette.indexOf(454) + 1),
+];
+
+// Depth plane (world z) hand-anchored accessories and their occluders are placed on
+const HAND_PLANE_Z = -0.2;
+
+// Temporal filter overrides per accessory type (see DEFAULT_FILTER_PARAMS in alignmentFilter.js).
+// The t-shirt mesh is large and slow-moving, so it keeps plain exponential smoothing.
+const FILTER_PARAMS = {
+  [ACCESSORY_TYPES.T_SHIRT]: {
+    position: { type: "exponential", alpha: 0.3 },
+    scale: { type: "exponential", alpha: 0.3 },
+    rotation: { type: "exponential", alpha: 0.4 },
+  },
+};
 
-// MediaPipe Holistic + Camera utils
-import { Holistic } from "@mediapipe/holistic";
-import { Camera } from "@mediapipe/camera_utils";
-
-const VIDEO_WIDTH = 720;
-const VIDEO_HEIGHT = 620;
-
-// Accessory type constants
-const ACCESSORY_TYPES = {
-  GLASSES: "glasses",
-  EARRINGS: "earrings",
-  NECKLACE: "necklace",
-  T_SHIRT: "t-shirt",
+// Tracking-state overrides per accessory type (see DEFAULT_TRACKING_PARAMS in trackingState.js).
+// Hands drop out of Holistic far more often than the face, so hand accessories hold longer.
+const TRACKING_PARAMS = {
+  [ACCESSORY_TYPES.RING]: { holdTime: 800 },
+  [ACCESSORY_TYPES.BRACELET]: { holdTime: 800 },
+  [ACCESSORY_TYPES.WATCH]: { holdTime: 800 },
+  [ACCESSORY_TYPES.T_SHIRT]: { holdTime: 1000 },
 };
 
-// Smoothing factors for different properties
-const SMOOTHING = {
-  position: 0.3,
-  scale: 0.3,
-  rotation: 0.4,
+/**
+ * Default fit calibration per accessory type. Catalog entries can override any field with an
+ * optional `fit` object, so models from different artists are tuned without code changes:
+ * - anchorOffset: x/y shift of the anchor in normalized image units (for earrings x points
+ *   outward from each lobe), z added to the anchor depth in world units
+ * - scaleMultiplier: converts the measured landmark span into model scale
+ * - rotationCorrection: pitch/yaw/roll in radians added to the tracked rotation
+ * - depthPlane: world z the anchor is placed on, or null to follow the landmark depth
+ */
+const DEFAULT_FIT = {
+  [ACCESSORY_TYPES.GLASSES]: { anchorOffset: { y: -0.01 }, scaleMultiplier: 20, depthPlane: -0.1 },
+  [ACCESSORY_TYPES.EARRINGS]: { anchorOffset: { x: 0.009, y: 0.04 }, scaleMultiplier: 12, depthPlane: -0.25 },
+  [ACCESSORY_TYPES.NECKLACE]: { anchorOffset: { y: -0.06 }, scaleMultiplier: 6, depthPlane: null },
+  // The t-shirt model faces away from the camera, hence the 180-degree yaw
+  [ACCESSORY_TYPES.T_SHIRT]: {
+    anchorOffset: { z: -0.1 },
+    scaleMultiplier: 4,
+    rotationCorrection: { yaw: Math.PI },
+    depthPlane: null,
+  },
+  [ACCESSORY_TYPES.HEADWEAR]: { scaleMultiplier: 9, depthPlane: FACE_PLANE_Z },
+  [ACCESSORY_TYPES.RING]: { scaleMultiplier: 20, depthPlane: HAND_PLANE_Z },
+  [ACCESSORY_TYPES.BRACELET]: { scaleMultiplier: 8, depthPlane: HAND_PLANE_Z },
+  [ACCESSORY_TYPES.WATCH]: { scaleMultiplier: 8, depthPlane: HAND_PLANE_Z },
 };
 
-let lastTShirtAlignment = null;
+/**
+ * Merges a catalog entry's `fit` over the defaults for its type.
+ * @param {{ type: string, fit?: object }} accessory
+ * @returns {{ anchorOffset: {x:number,y:number,z:number}, scaleMultiplier: number,
+ *   rotationCorrection: {pitch:number,yaw:number,roll:number}, depthPlane: number|null }}
+ */
+function resolveFit(accessory) {
+  const defaults = DEFAULT_FIT[accessory.type] || {};
+  const fit = accessory.fit || {};
+  return {
+    anchorOffset: { x: 0, y: 0, z: 0, ...defaults.anchorOffset, ...fit.anchorOffset },
+    scaleMultiplier: fit.scaleMultiplier ?? defaults.scaleMultiplier ?? 1,
+    rotationCorrection: { pitch: 0, yaw: 0, roll: 0, ...defaults.rotationCorrection, ...fit.rotationCorrection },
+    depthPlane: fit.depthPlane !== undefined ? fit.depthPlane : defaults.depthPlane ?? null,
+  };
+}
+
+// Helper: world z for an anchor, from the fit's depth plane or the landmark depth
+function resolveDepth(fit, landmarkDepth = 0) {
+  return (fit.depthPlane ?? landmarkDepth) + fit.anchorOffset.z;
+}
+/**
+ * Re-fits another model's alignment for a model of the same type, so two models can share one
+ * tracked result: strategy scales are proportional to the fit's scale multiplier, and the
+ * rotation correction is swapped. Anchor offsets are shared.
+ * @param {object} alignment Strategy output, rotation-corrected with `fromFit`.
+ * @param {object} fromFit Fit the alignment was computed with (see resolveFit).
+ * @param {object} toFit Fit of the model it is applied to.
+ * @returns {object}
+ */
+function retargetAlignment(alignment, fromFit, toFit) {
+  const from = fromFit.rotationCorrection;
+  const to = toFit.rotationCorrection;
+  return {
+    ...alignment,
+    scale: (alignment.scale * toFit.scaleMultiplier) / fromFit.scaleMultiplier,
+    rotation: {
+      pitch: alignment.rotation.pitch - from.pitch + to.pitch,
+      yaw: alignment.rotation.yaw - from.yaw + to.yaw,
+      roll: alignment.rotation.roll - from.roll + to.roll,
+    },
+  };
+}
+
+// HUD number, or a dash while there is nothing to measure
+function formatStat(value, digits = 0) {
+  return value === null || value === undefined ? "–" : value.toFixed(digits);
+}
+
+// Holistic model options for a quality level (see QUALITY_LEVELS) and the worn outfit
+function trackingOptions(level, outfit) {
+  const worn = Object.values(outfit);
+  const bodyOnly = worn.length > 0 && worn.every((item) => BODY_ACCESSORY_TYPES.includes(item.type));
+  return {
+    modelComplexity: level.modelComplexity,
+    // Also drops the iris landmarks face measurements need, so only while nothing face-worn is on
+    refineFaceLandmarks: level.faceRefinement === "always" || !bodyOnly,
+  };
+}
+
+// Transparent WebGL overlay stacked on the video
+function createRenderer({ antialias }) {
+  const renderer = new THREE.WebGLRenderer({ alpha: true, antialias, stencil: true });
+  renderer.setClearColor(0x000000, 0);
+  renderer.domElement.style.position = "absolute";
+  renderer.domElement.style.top = "0";
+  renderer.domElement.style.left = "0";
+  renderer.domElement.style.pointerEvents = "none";
+  renderer.domElement.style.objectFit = "cover";
+  renderer.sortObjects = true;
+  return renderer;
+}
+
+function setupAccessoryMesh(mesh) {
+  mesh.traverse((child) => {
+    if (child.isMesh) {
+      child.material.depthTest = true;
+      child.material.depthWrite = true;
+    }
+  });
+  mesh.scale.set(0.1, 0.1, 0.1);
+  mesh.position.set(0, 0, 0);
+  mesh.visible = false;
+  mesh.renderOrder = 0;
+}
+
+// Fades a worn accessory via its materials' opacity (relative to each material's own
+// opacity); fully faded accessories are hidden so they cost nothing to render
+function setAccessoryOpacity(entry, opacity) {
+  entry.objects.forEach((object) => {
+    object.visible = opacity > 0;
+    object.traverse((child) => {
+      if (!child.isMesh) return;
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach((material) => {
+        if (material.userData.baseOpacity === undefined) {
+          material.userData.baseOpacity = material.opacity;
+          material.userData.baseTransparent = material.transparent;
+        }
+        const transparent = material.userData.baseTransparent || opacity < 1;
+        if (material.transparent !== transparent) {
+          material.transparent = transparent;
+          material.needsUpdate = true;
+        }
+        material.opacity = material.userData.baseOpacity * opacity;
+      });
+    });
+  });
+}
+
+// The compare entry, while its slot's own accessory is worn too
+function activeCompareEntry(compareEntry, slots) {
+  return compareEntry && slots[compareEntry.slot] ? compareEntry : null;
+}
+
+// Starts filtering and tracking over on a new timeline (session replay, video file, back to the
+// camera), whose timestamps have nothing to do with the previous one's
+function resetEntryTracking(slots, compareEntry) {
+  [...Object.values(slots), compareEntry].filter(Boolean).forEach((entry) => {
+    entry.filter.reset();
+    entry.tracking.reset();
+  });
+}
+
+// Takes an entry's models out of the scene and releases them to the asset manager, which frees
+// their GPU resources once nothing else shows the same model
+function removeEntryObjects(entry, scene, assetManager) {
+  entry.objects.forEach((object) => {
+    if (scene) scene.remove(object);
+    assetManager?.release(entry.accessory.path);
+  });
+  entry.objects = [];
+}
+
+// Landmarks arrive at the inference rate, usually well below the display rate, so each accessory
+// object eases from the pose it shows to the latest tracked pose over about one inference
+// interval, advanced by the render loop (see advancePose). Longer gaps aren't bridged.
+const MAX_POSE_TRANSITION = 200; // ms
+
+const poseEuler = new THREE.Euler();
+
+/**
+ * Sets the pose an accessory object moves to.
+ * @param {THREE.Object3D} object
+ * @param {{ position: {x: number, y: number, z: number}, rotation: {pitch: number, yaw: number, roll: number}, scale: number }} target
+ * @param {number} duration Transition time in ms; 0, or a hidden object, jumps straight to the pose.
+ */
+function setPoseTarget(object, { position, rotation, scale }, duration) {
+  const pose = (object.userData.pose ??= {
+    fromPosition: new THREE.Vector3(),
+    fromQuaternion: new THREE.Quaternion(),
+    fromScale: 1,
+    position: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    scale: 1,
+  });
+  pose.fromPosition.copy(object.position);
+  pose.fromQuaternion.copy(object.quaternion);
+  pose.fromScale = object.scale.x;
+  pose.position.set(position.x, position.y, position.z);
+  pose.quaternion.setFromEuler(poseEuler.set(rotation.pitch, rotation.yaw, rotation.roll));
+  pose.scale = scale;
+  pose.start = performance.now();
+  // A faded-out object reappears where it is tracked instead of sliding in from its old pose
+  pose.duration = object.visible ? Math.min(duration, MAX_POSE_TRANSITION) : 0;
+  advancePose(object, pose.start);
+}
 
 /**
- * Performs a shortest-path linear interpolation between two angles.
- * @param {number} a The start angle in radians.
- * @param {number} b The end angle in radians.
- * @param {number} t The interpolation factor (0.0 to 1.0).
- * @returns {number} The interpolated angle in radians.
+ * Moves an accessory object along its transition (see setPoseTarget) to time `now`.
+ * @param {THREE.Object3D} object
+ * @param {number} now performance.now() time.
  */
-function lerpShortestAngle(a, b, t) {
-  const diff = (b - a) % (Math.PI * 2);
-  const shortestDiff = 2 * diff % (Math.PI * 2) - diff;
-  return a + shortestDiff * t;
+function advancePose(object, now) {
+  const pose = object.userData.pose;
+  if (!pose) return;
+  const t = pose.duration > 0 ? Math.min(1, (now - pose.start) / pose.duration) : 1;
+  object.position.lerpVectors(pose.fromPosition, pose.position, t);
+  object.quaternion.slerpQuaternions(pose.fromQuaternion, pose.quaternion, t);
+  object.scale.setScalar(THREE.MathUtils.lerp(pose.fromScale, pose.scale, t));
 }
+
 // Key landmark indices for different accessory types (MediaPipe face mesh indices)
 const LANDMARK_INDICES = {
   leftEyeCenter: 159,
@@ -50,85 +287,169 @@ const LANDMARK_INDICES = {
   chinBottom: 152, // Bottom center of the chin
   leftJaw: 213, // Left jawline point
   rightJaw: 433, // Right jawline point
+  foreheadTop: 10, // Top of the forehead on the silhouette
 };
 
+// Identifies a camera source, to tell whether a source change asks for a different camera
+function cameraSourceKey(source) {
+  return `${source?.deviceId || ""}|${source?.facingMode || ""}`;
+}
+
+/**
+ * Maps video pixels to the viewer. The video is drawn with `object-fit: cover`: scaled to fill
+ * the viewer, centred, and cropped where it overflows.
+ * @returns {{
+ *   width: number, height: number, viewWidth: number, viewHeight: number,
+ *   uScale: number, vScale: number, referenceWidth: number,
+ * }} Video and viewer sizes in pixels, the scale from video UV to viewer UV about the centre,
+ *   and `referenceWidth`: the video width in pixels that a distance is divided by to get the
+ *   same on-screen size as in REFERENCE_FRAME, which the fit scale multipliers expect.
+ */
+function computeFrameLayout(videoWidth, videoHeight, viewWidth, viewHeight) {
+  const scale = Math.max(viewWidth / videoWidth, viewHeight / videoHeight);
+  return {
+    width: videoWidth,
+    height: videoHeight,
+    viewWidth,
+    viewHeight,
+    uScale: (videoWidth * scale) / viewWidth,
+    vScale: (videoHeight * scale) / viewHeight,
+    referenceWidth: (viewHeight / scale) * (REFERENCE_FRAME.width / REFERENCE_FRAME.height),
+  };
+}
+
 // Helper: convert MediaPipe normalized landmarks to pixel-like points used by your alignment functions
-function convertFaceLandmarksToPixelPoints(faceLandmarks) {
+function convertFaceLandmarksToPixelPoints(faceLandmarks, frame) {
   if (!faceLandmarks || !faceLandmarks.length) return null;
   // MediaPipe faceLandmarks provides normalized x,y (0..1) and z (approx - to + where scale is relative).
   // Convert to same coordinate expectation used previously: x,y in pixels, z scaled similar to width.
   return faceLandmarks.map((lm) => ({
-    x: lm.x * VIDEO_WIDTH,
-    y: lm.y * VIDEO_HEIGHT,
-    z: lm.z * VIDEO_WIDTH, // keep z scaled similar to width units
+    x: lm.x * frame.width,
+    y: lm.y * frame.height,
+    z: lm.z * frame.width, // keep z scaled similar to width units
   }));
 }
 
+// Helper: linear interpolation between two pixel-space points
+function lerpPoint(a, b, t) {
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    z: a.z + (b.z - a.z) * t,
+  };
+}
+
+// Helper: unit vector pointing up the head (towards the crown) in pixel space
+function headUpVector(headPose) {
+  const x = headPose.rotation[0][1];
+  const y = -headPose.rotation[1][1];
+  const length = Math.hypot(x, y) || 1;
+  return { x: x / length, y: y / length };
+}
+
+// Helper: head width in pixels, the silhouette's extent across the head (perpendicular to `up`)
+function measureHeadWidth(landmarks, up) {
+  let min = Infinity;
+  let max = -Infinity;
+  MESH_ANNOTATIONS.silhouette.forEach((index) => {
+    const lm = landmarks[index];
+    if (!lm) return;
+    const across = -up.y * lm.x + up.x * lm.y;
+    min = Math.min(min, across);
+    max = Math.max(max, across);
+  });
+  return max > min ? max - min : 0;
+}
+
+// Helper: pick the hand an accessory is worn on, falling back to the other hand if it isn't tracked
+function pickHandLandmarks(results, preferredHand = "left") {
+  const order = preferredHand === "right" ? ["right", "left"] : ["left", "right"];
+  for (const handedness of order) {
+    const landmarks = results[`${handedness}HandLandmarks`];
+    if (landmarks && landmarks.length) return { handedness, landmarks };
+  }
+  return null;
+}
+
 // Helper: convert pose landmarks to pixel points
-function convertPoseLandmarksToPixelPoints(poseLandmarks) {
+function convertPoseLandmarksToPixelPoints(poseLandmarks, frame) {
   if (!poseLandmarks || !poseLandmarks.length) return null;
   return poseLandmarks.map((lm) => ({
-    x: lm.x * VIDEO_WIDTH,
-    y: lm.y * VIDEO_HEIGHT,
-    z: lm.z * VIDEO_WIDTH,
+    x: lm.x * frame.width,
+    y: lm.y * frame.height,
+    z: lm.z * frame.width,
   }));
 }
 
+/**
+ * Shared wrist alignment for bracelets and watches: centred just below the wrist landmark,
+ * oriented along the forearm with +Z out of the back of the hand (where a watch face sits).
+ */
+function alignToWrist(landmarks, uvToWorld, handedness, fit, frame) {
+  const handPose = solveHandPose(landmarks, handedness);
+  if (!handPose) return { visible: false };
+
+  const wrist = landmarks[HAND_LANDMARKS.wrist];
+  const middleMcp = landmarks[HAND_LANDMARKS.middleMcp];
+  // Step from the wrist landmark back towards the forearm
+  const anchor = lerpPoint(wrist, middleMcp, -0.15);
+  const world = uvToWorld(
+    anchor.x / frame.width + fit.anchorOffset.x,
+    anchor.y / frame.height + fit.anchorOffset.y,
+    resolveDepth(fit)
+  );
+
+  const scale = Math.max(0.1, Math.min(3.0, (handPose.palmWidth / frame.referenceWidth) * fit.scaleMultiplier));
+
+  return {
+    position: { x: world.x, y: world.y, z: world.z },
+    rotation: handPose.euler,
+    scale,
+    visible: true,
+  };
+}
+
 /**
  * Accessory Alignment Strategies
  * Each accessory type has its own calculation method
  * NOTE: These expect `landmarks` in pixel-space like convertFaceLandmarksToPixelPoints outputs.
+ * `context.headPose` is the solved rigid head pose (see headPose.js) for face-anchored strategies;
+ * `context.fit` is the accessory's resolved fit calibration (see resolveFit) and `context.frame`
+ * the current video layout (see computeFrameLayout): pixels divide by `frame.width`/`frame.height`
+ * for UVs and by `frame.referenceWidth` for sizes.
  */
 const AccessoryAlignmentStrategies = {
-  [ACCESSORY_TYPES.GLASSES]: (landmarks, uvToWorld) => {
+  [ACCESSORY_TYPES.GLASSES]: (landmarks, uvToWorld, { headPose, fit, frame }) => {
     const leftEye = landmarks[LANDMARK_INDICES.leftEyeCenter];
     const rightEye = landmarks[LANDMARK_INDICES.rightEyeCenter];
-    const noseTip = landmarks[LANDMARK_INDICES.noseTip];
 
-    if (!leftEye || !rightEye || !noseTip) return { visible: false };
+    if (!leftEye || !rightEye || !headPose) return { visible: false };
 
-    // Calculate glasses center (between eyes, slightly above)
+    // Calculate glasses center (between eyes)
     const glassesCenter = {
       x: (leftEye.x + rightEye.x) / 2,
-      y: (leftEye.y + rightEye.y) / 2 + 0.01 * VIDEO_HEIGHT,
-      z: (leftEye.z + rightEye.z) / 2 - 0.05 * VIDEO_WIDTH,
+      y: (leftEye.y + rightEye.y) / 2,
     };
 
-    // Normalize to UV coordinates (0..1)
+    // Normalize to UV coordinates (0..1) and apply the model's anchor offset
     const normalizedCenter = {
-      x: glassesCenter.x / VIDEO_WIDTH,
-      y: glassesCenter.y / VIDEO_HEIGHT - 0.02,
-      z: glassesCenter.z / VIDEO_WIDTH,
+      x: glassesCenter.x / frame.width + fit.anchorOffset.x,
+      y: glassesCenter.y / frame.height + fit.anchorOffset.y,
     };
 
     // Convert to world position
-    const targetZ = -0.1;
-    const world = uvToWorld(normalizedCenter.x, normalizedCenter.y, targetZ);
+    const world = uvToWorld(normalizedCenter.x, normalizedCenter.y, resolveDepth(fit));
     const position = { x: world.x, y: world.y, z: world.z };
 
     // Calculate scale based on eye distance
     const eyeDistancePixels = Math.sqrt(
       Math.pow(rightEye.x - leftEye.x, 2) + Math.pow(rightEye.y - leftEye.y, 2) + Math.pow(rightEye.z - leftEye.z, 2)
     );
-    const eyeDistanceNormalized = eyeDistancePixels / VIDEO_WIDTH;
-    const scale = Math.max(0.5, Math.min(4.0, eyeDistanceNormalized * 20));
-
-    // Calculate rotation (roll, yaw, pitch)
-    const eyeVector = {
-      x: rightEye.x - leftEye.x,
-      y: rightEye.y - leftEye.y,
-    };
-    const roll = -Math.atan2(eyeVector.y, eyeVector.x);
-
-    const eyeMidpoint = {
-      x: (leftEye.x + rightEye.x) / 2,
-      y: (leftEye.y + rightEye.y) / 2,
-    };
-    const noseOffsetX = noseTip.x - eyeMidpoint.x;
-    const yaw = Math.atan2(noseOffsetX, eyeDistancePixels) * 0.8;
+    const eyeDistanceNormalized = eyeDistancePixels / frame.referenceWidth;
+    const scale = Math.max(0.5, Math.min(4.0, eyeDistanceNormalized * fit.scaleMultiplier));
 
-    const noseOffsetY = noseTip.y - eyeMidpoint.y;
-    const pitch = Math.atan2(noseOffsetY, eyeDistancePixels * 0.8) - 0.8;
+    // Rotation follows the full 3D head pose
+    const { pitch, yaw, roll } = headPose.euler;
 
     return {
       position,
@@ -138,7 +459,7 @@ const AccessoryAlignmentStrategies = {
     };
   },
 
-  [ACCESSORY_TYPES.EARRINGS]: (landmarks, uvToWorld) => {
+  [ACCESSORY_TYPES.EARRINGS]: (landmarks, uvToWorld, { headPose, fit, frame }) => {
     function averagePoints(landmarks, indices) {
       const pts = indices.map((i) => landmarks[i]).filter(Boolean);
       if (pts.length === 0) return null;
@@ -159,87 +480,140 @@ const AccessoryAlignmentStrategies = {
     const leftEyeCenter = landmarks[LANDMARK_INDICES.leftEyeCenter];
     const rightEyeCenter = landmarks[LANDMARK_INDICES.rightEyeCenter];
 
-    if (!leftEarLobe || !rightEarLobe || !leftEyeCenter || !rightEyeCenter) {
+    if (!leftEarLobe || !rightEarLobe || !leftEyeCenter || !rightEyeCenter || !headPose) {
       return { visible: false };
     }
 
-    // Pixel -> normalized UV
+    // Pixel -> normalized UV, offset outward from each lobe
     const leftEarringPos = {
-      x: leftEarLobe.x / VIDEO_WIDTH - 0.009,
-      y: leftEarLobe.y / VIDEO_HEIGHT + 0.04,
-      z: leftEarLobe.z / VIDEO_WIDTH,
+      x: leftEarLobe.x / frame.width - fit.anchorOffset.x,
+      y: leftEarLobe.y / frame.height + fit.anchorOffset.y,
     };
 
     const rightEarringPos = {
-      x: rightEarLobe.x / VIDEO_WIDTH + 0.009,
-      y: rightEarLobe.y / VIDEO_HEIGHT + 0.04,
-      z: rightEarLobe.z / VIDEO_WIDTH,
+      x: rightEarLobe.x / frame.width + fit.anchorOffset.x,
+      y: rightEarLobe.y / frame.height + fit.anchorOffset.y,
     };
 
     // Convert to world coordinates
-    const leftWorld = uvToWorld(leftEarringPos.x, leftEarringPos.y, -0.25);
-    const rightWorld = uvToWorld(rightEarringPos.x, rightEarringPos.y, -0.25);
+    const leftWorld = uvToWorld(leftEarringPos.x, leftEarringPos.y, resolveDepth(fit));
+    const rightWorld = uvToWorld(rightEarringPos.x, rightEarringPos.y, resolveDepth(fit));
 
     // Calculate scale using eye distance
     const eyeDistance = Math.sqrt(
       Math.pow(rightEyeCenter.x - leftEyeCenter.x, 2) + Math.pow(rightEyeCenter.y - leftEyeCenter.y, 2)
     );
-    const scale = Math.max(0.3, Math.min(3.0, (eyeDistance / VIDEO_WIDTH) * 12));
+    const scale = Math.max(0.3, Math.min(3.0, (eyeDistance / frame.referenceWidth) * fit.scaleMultiplier));
 
-    const eyeVector = {
-      x: rightEyeCenter.x - leftEyeCenter.x,
-      y: rightEyeCenter.y - leftEyeCenter.y,
-    };
-    const roll = -Math.atan2(eyeVector.y, eyeVector.x);
+    // Earrings hang freely, so they follow head yaw and roll but not pitch
+    const { yaw, roll } = headPose.euler;
 
     return {
       positions: [
         { x: leftWorld.x, y: leftWorld.y, z: leftWorld.z },
         { x: rightWorld.x, y: rightWorld.y, z: rightWorld.z },
       ],
-      rotation: { pitch: 0, yaw: 0, roll },
+      rotation: { pitch: 0, yaw, roll },
       scale,
       visible: true,
       isMultiple: true,
     };
   },
-[ACCESSORY_TYPES.NECKLACE]: (landmarks, uvToWorld) => {
-  // This strategy now expects RAW, NORMALIZED pose landmarks (0-1 range)
-  const leftShoulder = landmarks[11];
-  const rightShoulder = landmarks[12];
 
-  if (!leftShoulder || !rightShoulder) return { visible: false };
+  [ACCESSORY_TYPES.NECKLACE]: (landmarks, uvToWorld, { fit, frame }) => {
+    // This strategy now expects RAW, NORMALIZED pose landmarks (0-1 range)
+    const leftShoulder = landmarks[11];
+    const rightShoulder = landmarks[12];
 
-  // Calculate center and apply a slight vertical offset
-  const centerX = (leftShoulder.x + rightShoulder.x) / 2;
-  const centerY = (leftShoulder.y + rightShoulder.y) / 2 - 0.06; // Offset up
-  const centerZ = (leftShoulder.z + rightShoulder.z) / 2;
+    if (!leftShoulder || !rightShoulder) return { visible: false };
 
-  // Convert normalized UV coordinates to world coordinates
-  const world = uvToWorld(centerX, centerY, centerZ);
+    // Calculate center and apply the model's anchor offset (up from the shoulder line by default)
+    const centerX = (leftShoulder.x + rightShoulder.x) / 2 + fit.anchorOffset.x;
+    const centerY = (leftShoulder.y + rightShoulder.y) / 2 + fit.anchorOffset.y;
+    const centerZ = resolveDepth(fit, (leftShoulder.z + rightShoulder.z) / 2);
 
-  // Scale based on shoulder distance in normalized coordinates
-  const shoulderDist = Math.sqrt(
-    Math.pow(rightShoulder.x - leftShoulder.x, 2) +
-    Math.pow(rightShoulder.y - leftShoulder.y, 2) 
-  );
-  const scale = Math.max(0.1, Math.min(4.0, shoulderDist * 6));
+    // Convert normalized UV coordinates to world coordinates
+    const world = uvToWorld(centerX, centerY, centerZ);
 
-  console.log("🟢 Necklace Debug:", {
-    normalized: { x: centerX.toFixed(3), y: centerY.toFixed(3), z: centerZ.toFixed(3) },
-    world: { x: world.x.toFixed(3), y: world.y.toFixed(3), z: world.z.toFixed(3) },
-    scale: scale.toFixed(2),
-  });
+    // Scale based on shoulder distance in normalized coordinates (converted to reference frame widths)
+    const shoulderDist = Math.sqrt(
+      Math.pow(rightShoulder.x - leftShoulder.x, 2) +
+      Math.pow(rightShoulder.y - leftShoulder.y, 2)
+    );
+    const frameScale = frame.width / frame.referenceWidth;
+    const scale = Math.max(0.1, Math.min(4.0, shoulderDist * frameScale * fit.scaleMultiplier));
 
-  return {
-    position: { x: world.x, y: world.y, z: world.z },
-    rotation: { pitch: 0, yaw: 0, roll: 0 },
-    scale,
-    visible: true,
-  };
-},
+    return {
+      position: { x: world.x, y: world.y, z: world.z },
+      rotation: { pitch: 0, yaw: 0, roll: 0 },
+      scale,
+      visible: true,
+    };
+  },
+
+  [ACCESSORY_TYPES.HEADWEAR]: (landmarks, uvToWorld, { headPose, fit, frame }) => {
+    // Crowns, hats, headbands and tiaras sit just above the top of the forehead silhouette
+    const foreheadTop = landmarks[LANDMARK_INDICES.foreheadTop];
+    if (!foreheadTop || !headPose) return { visible: false };
+
+    const up = headUpVector(headPose);
+    const headWidth = measureHeadWidth(landmarks, up);
+    if (!headWidth) return { visible: false };
+
+    const anchor = {
+      x: foreheadTop.x + up.x * headWidth * 0.12,
+      y: foreheadTop.y + up.y * headWidth * 0.12,
+    };
+    const world = uvToWorld(
+      anchor.x / frame.width + fit.anchorOffset.x,
+      anchor.y / frame.height + fit.anchorOffset.y,
+      resolveDepth(fit)
+    );
+
+    const scale = Math.max(0.3, Math.min(4.0, (headWidth / frame.referenceWidth) * fit.scaleMultiplier));
+
+    return {
+      position: { x: world.x, y: world.y, z: world.z },
+      rotation: { ...headPose.euler },
+      scale,
+      visible: true,
+    };
+  },
+
+  [ACCESSORY_TYPES.RING]: (landmarks, uvToWorld, { handedness, fit, frame }) => {
+    // Pixel-space hand landmarks; the ring's axis runs along the ring finger's proximal phalanx
+    const handPose = solveHandPose(landmarks, handedness, [HAND_LANDMARKS.ringMcp, HAND_LANDMARKS.ringPip]);
+    if (!handPose) return { visible: false };
+
+    // Rings sit a little past the knuckle
+    const anchor = lerpPoint(landmarks[HAND_LANDMARKS.ringMcp], landmarks[HAND_LANDMARKS.ringPip], 0.35);
+    const world = uvToWorld(
+      anchor.x / frame.width + fit.anchorOffset.x,
+      anchor.y / frame.height + fit.anchorOffset.y,
+      resolveDepth(fit)
+    );
+
+    // Finger width is roughly the spacing between neighbouring knuckles
+    const middleMcp = landmarks[HAND_LANDMARKS.middleMcp];
+    const ringMcp = landmarks[HAND_LANDMARKS.ringMcp];
+    const fingerWidth = Math.hypot(ringMcp.x - middleMcp.x, ringMcp.y - middleMcp.y);
+    const scale = Math.max(0.1, Math.min(2.0, (fingerWidth / frame.referenceWidth) * fit.scaleMultiplier));
+
+    return {
+      position: { x: world.x, y: world.y, z: world.z },
+      rotation: handPose.euler,
+      scale,
+      visible: true,
+    };
+  },
+
+  [ACCESSORY_TYPES.BRACELET]: (landmarks, uvToWorld, { handedness, fit, frame }) =>
+    alignToWrist(landmarks, uvToWorld, handedness, fit, frame),
 
-[ACCESSORY_TYPES.T_SHIRT]: (landmarks, uvToWorld) => {
+  [ACCESSORY_TYPES.WATCH]: (landmarks, uvToWorld, { handedness, fit, frame }) =>
+    alignToWrist(landmarks, uvToWorld, handedness, fit, frame),
+
+  [ACCESSORY_TYPES.T_SHIRT]: (landmarks, uvToWorld, { fit, frame }) => {
     // This strategy uses NORMALIZED pose landmarks
     const leftShoulder = landmarks[11];
     const rightShoulder = landmarks[12];
@@ -251,10 +625,10 @@ const AccessoryAlignmentStrategies = {
     }
 
     const shoulderVec = {
-  x: rightShoulder.x - leftShoulder.x,
-  y: rightShoulder.y - leftShoulder.y,
-  z: rightShoulder.z - leftShoulder.z,
-};
+      x: rightShoulder.x - leftShoulder.x,
+      y: rightShoulder.y - leftShoulder.y,
+      z: rightShoulder.z - leftShoulder.z,
+    };
 
     // --- Position Calculation ---
     // Position: Center of the torso
@@ -270,228 +644,862 @@ const AccessoryAlignmentStrategies = {
     };
 
     const torsoCenter = {
-      x: (shoulderCenter.x + hipCenter.x) / 2,
-      y: shoulderCenter.y + (hipCenter.y - shoulderCenter.y) * 0.2, // Position closer to shoulders
-      z: (shoulderCenter.z + hipCenter.z) / 2 - 0.1, // Approx depth, slightly forward
+      x: (shoulderCenter.x + hipCenter.x) / 2 + fit.anchorOffset.x,
+      y: shoulderCenter.y + (hipCenter.y - shoulderCenter.y) * 0.2 + fit.anchorOffset.y, // Position closer to shoulders
+      z: resolveDepth(fit, (shoulderCenter.z + hipCenter.z) / 2), // Approx depth, slightly forward by default
     };
 
     const world = uvToWorld(torsoCenter.x, torsoCenter.y, torsoCenter.z);
 
     // --- Scale Calculation ---
-    // Scale: Based on shoulder width and torso height
+    // Scale: Based on shoulder width and torso height (a torso is roughly 2.2 shoulder widths of cloth)
     const shoulderDist = Math.sqrt(Math.pow(rightShoulder.x - leftShoulder.x, 2) + Math.pow(rightShoulder.y - leftShoulder.y, 2));
     const torsoHeight = Math.abs(shoulderCenter.y - hipCenter.y);
-    const scale = Math.max(shoulderDist * 4, torsoHeight * 1.8);
+    const frameScale = frame.width / frame.referenceWidth;
+    const scale = Math.max(shoulderDist, torsoHeight * 0.45) * frameScale * fit.scaleMultiplier;
 
     // --- Rotation Calculation ---
-    // Rotation: Align with shoulders
+    // Rotation: Align with shoulders (the model's own facing is corrected through fit.rotationCorrection)
     const shoulderAngle = Math.atan2(shoulderVec.z, shoulderVec.x);
-    // Add Math.PI to correct the initial 180-degree rotation of the model.
-    const targetYaw = shoulderAngle + Math.PI;
 
-    // --- Smoothing ---
-    let alignment = {
+    return {
       position: { x: world.x, y: world.y, z: world.z },
-      rotation: { pitch: 0, yaw: targetYaw, roll: 0 }, // Using yaw to align horizontally
+      rotation: { pitch: 0, yaw: shoulderAngle, roll: 0 }, // Using yaw to align horizontally
       scale,
       visible: true,
     };
-
-    if (lastTShirtAlignment) {
-      alignment.position.x = THREE.MathUtils.lerp(lastTShirtAlignment.position.x, alignment.position.x, SMOOTHING.position);
-      alignment.position.y = THREE.MathUtils.lerp(lastTShirtAlignment.position.y, alignment.position.y, SMOOTHING.position);
-      alignment.position.z = THREE.MathUtils.lerp(lastTShirtAlignment.position.z, alignment.position.z, SMOOTHING.position);
-      alignment.scale = THREE.MathUtils.lerp(lastTShirtAlignment.scale, alignment.scale, SMOOTHING.scale);
-      // Use our custom lerpShortestAngle for smooth rotation that handles wrapping around PI/-PI
-      alignment.rotation.yaw = lerpShortestAngle(lastTShirtAlignment.rotation.yaw, targetYaw, SMOOTHING.rotation);
-    }
-
-    lastTShirtAlignment = { ...alignment };
-    return alignment;
   },
 };
 
-export default function FaceMeshViewer({ accessory, setDebugInfo, setIsAccessoryLoaded, setIsModelLoaded, setStatus }) {
+export default function FaceMeshViewer({
+  outfit = {},
+  setDebugInfo,
+  setIsAccessoryLoaded,
+  setIsModelLoaded,
+  setStatus,
+  isRecording = false,
+  onSessionRecorded,
+  replaySession = null,
+  onReplayEnd,
+  fitAdjustments = {},
+  adjustSlot = null,
+  onFitAdjust,
+  onAdjustEnd,
+  onMeasurements,
+  onFaceShape,
+  width = REFERENCE_FRAME.width,
+  height = REFERENCE_FRAME.height,
+  cameraSource = { deviceId: null, facingMode: FACING_MODES.FRONT },
+  mirrored = true,
+  onCameraChange,
+  photo = null,
+  snapshotRequest = 0,
+  onSnapshot,
+  videoFile = null,
+  onVideoProgress,
+  onVideoProcessed,
+  onClipRecorded,
+  compare = null,
+  onAccessoryError,
+  prefetch = [],
+  showPerformance = false,
+}) {
+  const containerRef = useRef(null);
   const videoRef = useRef(null);
   const threeContainerRef = useRef(null);
   const animationRef = useRef(null);
   const sceneRef = useRef(null);
   const rendererRef = useRef(null);
   const cameraRef = useRef(null);
-  const accessoryRef = useRef(null);
-  const accessoryInstancesRef = useRef([]);
+  // Worn accessories by outfit slot: { accessory, objects, filter, loaded }
+  const slotsRef = useRef({});
   const faceOccluderRef = useRef(null);
-  const currentAccessoryRef = useRef(null);
-  const holisticRef = useRef(null);
-  const cameraUtilRef = useRef(null);
+  const handOccluderRef = useRef(null);
+  const outfitRef = useRef(outfit);
+  // MediaPipe Holistic, running in a worker (see trackingWorker.js), and the model options last
+  // sent to it
+  const trackerRef = useRef(null);
+  const trackerOptionsRef = useRef(null);
+  // Current adaptive quality level (see adaptiveQuality.js)
+  const qualityRef = useRef(QUALITY_LEVELS[0]);
+  const showPerformanceRef = useRef(showPerformance);
+  const resultsHandlerRef = useRef(null);
+  const recorderRef = useRef(null);
+  const isReplayingRef = useRef(false);
+  const fitAdjustmentsRef = useRef(fitAdjustments);
+  const onFitAdjustRef = useRef(onFitAdjust);
+  const onAdjustEndRef = useRef(onAdjustEnd);
+  const measurementTrackerRef = useRef(createMeasurementTracker());
+  const measurementsReportedAtRef = useRef(0);
+  const onMeasurementsRef = useRef(onMeasurements);
+  const faceShapeTrackerRef = useRef(createFaceShapeTracker());
+  const faceShapeRef = useRef(null);
+  const onFaceShapeRef = useRef(onFaceShape);
+  const onAccessoryErrorRef = useRef(onAccessoryError);
+  // Parent state setters and session callbacks, read through refs so long-lived effects and
+  // callbacks always reach the latest ones
+  const setStatusRef = useRef(setStatus);
+  const setDebugInfoRef = useRef(setDebugInfo);
+  const setIsModelLoadedRef = useRef(setIsModelLoaded);
+  const setIsAccessoryLoadedRef = useRef(setIsAccessoryLoaded);
+  const onSessionRecordedRef = useRef(onSessionRecorded);
+  const onReplayEndRef = useRef(onReplayEnd);
+  // Model cache (see assetManager.js), created with the renderer; every model taken out of the
+  // scene is released to it
+  const assetManagerRef = useRef(null);
+  // Video size and its placement in the viewer (see computeFrameLayout)
+  const frameRef = useRef(
+    computeFrameLayout(REFERENCE_FRAME.width, REFERENCE_FRAME.height, REFERENCE_FRAME.width, REFERENCE_FRAME.height)
+  );
+  // Size of the recorded video while a session replays, which may differ from the live camera
+  const replayVideoSizeRef = useRef(null);
+  // Live camera stream, and the source last asked for ("deviceId|facingMode")
+  const streamRef = useRef(null);
+  const requestedSourceKeyRef = useRef(cameraSourceKey(cameraSource));
+  const cameraSourceRef = useRef(cameraSource);
+  const onCameraChangeRef = useRef(onCameraChange);
+  const mirroredRef = useRef(mirrored);
+  // Uploaded photo (HTMLImageElement) shown and tracked instead of the camera, or null
+  const photoRef = useRef(null);
+  const onSnapshotRef = useRef(onSnapshot);
+  // Video file being processed offline (see processVideo), shown instead of the camera
+  const fileVideoRef = useRef(null);
+  const isProcessingVideoRef = useRef(false);
+  const onVideoProgressRef = useRef(onVideoProgress);
+  const onVideoProcessedRef = useRef(onVideoProcessed);
+  // In-flight live frame, which a photo or video file frame waits for before it is analysed
+  const pendingSendRef = useRef(null);
+  // Active clip recording (see clipRecorder.js), fed a composite by the render loop
+  const clipRecorderRef = useRef(null);
+  const onClipRecordedRef = useRef(onClipRecorded);
+  // A/B compare: a second accessory for one slot ({ slot, ...entry }), shown on the right of the
+  // divider while the slot's own accessory stays on the left. Divider position is a fraction of
+  // the viewer width.
+  const compareEntryRef = useRef(null);
+  const dividerRef = useRef(0.5);
+  const [divider, setDivider] = useState(0.5);
   const [isSceneReady, setIsSceneReady] = useState(false);
+  const [isHolisticReady, setIsHolisticReady] = useState(false);
+  const [isClipRecording, setIsClipRecording] = useState(false);
+  const [recordAudio, setRecordAudio] = useState(false);
+  const [performanceStats, setPerformanceStats] = useState(null);
+  const [qualityIndex, setQualityIndex] = useState(0);
 
-  // Update accessory ref when prop changes
+  // Update outfit ref when prop changes
   useEffect(() => {
-    currentAccessoryRef.current = accessory;
-    console.log("🎯 Accessory changed to:", accessory?.type, accessory?.name);
-  }, [accessory]);
+    outfitRef.current = outfit;
+    updateTrackingOptions();
+  }, [outfit]);
 
-  // Accessory loading effect (same structure as your original)
   useEffect(() => {
-    if (!isSceneReady || !accessory?.path) return;
+    showPerformanceRef.current = showPerformance;
+    if (!showPerformance) setPerformanceStats(null);
+  }, [showPerformance]);
 
-    async function loadAccessoryModel(accessoryConfig) {
-      try {
-        cleanupAccessories();
-
-        setIsAccessoryLoaded(false);
-        setStatus(`Loading ${accessoryConfig.name}...`);
-
-        const { GLTFLoader } = await import("three/examples/jsm/loaders/GLTFLoader.js");
-        const loader = new GLTFLoader();
-
-        loader.load(
-          accessoryConfig.path,
-          (gltf) => {
-            console.log(`Accessory loaded: ${accessoryConfig.name} (${accessoryConfig.type})`);
-
-            const needsMultipleInstances = accessoryConfig.type === ACCESSORY_TYPES.EARRINGS;
-
-            if (needsMultipleInstances) {
-              for (let i = 0; i < 2; i++) {
-                const instance = gltf.scene.clone();
-                setupAccessoryMesh(instance);
-                sceneRef.current.add(instance);
-                accessoryInstancesRef.current.push(instance);
-              }
-            } else {
-              const model = gltf.scene;
-              setupAccessoryMesh(model);
-              sceneRef.current.add(model);
-              accessoryRef.current = model;
-            }
+  useEffect(() => {
+    fitAdjustmentsRef.current = fitAdjustments;
+  }, [fitAdjustments]);
 
-            setIsAccessoryLoaded(true);
-            setStatus(`${accessoryConfig.name} loaded successfully!`);
-          },
-          (progress) => {
-            const percent = progress.total ? ((progress.loaded / progress.total) * 100).toFixed(0) : "-";
-            setStatus(`Loading ${accessoryConfig.name}... ${percent}%`);
-          },
-          (error) => {
-            console.error(`Error loading ${accessoryConfig.name}:`, error);
-            setStatus(`Failed to load ${accessoryConfig.name}`);
-            createFallbackModel(accessoryConfig.type);
-          }
-        );
-      } catch (err) {
-        console.error("Error setting up accessory loader:", err);
-        createFallbackModel(accessoryConfig.type);
+  useEffect(() => {
+    onFitAdjustRef.current = onFitAdjust;
+    onAdjustEndRef.current = onAdjustEnd;
+  }, [onFitAdjust, onAdjustEnd]);
+
+  useEffect(() => {
+    onMeasurementsRef.current = onMeasurements;
+  }, [onMeasurements]);
+
+  useEffect(() => {
+    onFaceShapeRef.current = onFaceShape;
+  }, [onFaceShape]);
+
+  useEffect(() => {
+    onAccessoryErrorRef.current = onAccessoryError;
+  }, [onAccessoryError]);
+
+  useEffect(() => {
+    setStatusRef.current = setStatus;
+    setDebugInfoRef.current = setDebugInfo;
+    setIsModelLoadedRef.current = setIsModelLoaded;
+    setIsAccessoryLoadedRef.current = setIsAccessoryLoaded;
+  }, [setStatus, setDebugInfo, setIsModelLoaded, setIsAccessoryLoaded]);
+
+  useEffect(() => {
+    onSessionRecordedRef.current = onSessionRecorded;
+    onReplayEndRef.current = onReplayEnd;
+  }, [onSessionRecorded, onReplayEnd]);
+
+  useEffect(() => {
+    onSnapshotRef.current = onSnapshot;
+  }, [onSnapshot]);
+
+  useEffect(() => {
+    onVideoProgressRef.current = onVideoProgress;
+    onVideoProcessedRef.current = onVideoProcessed;
+  }, [onVideoProgress, onVideoProcessed]);
+
+  useEffect(() => {
+    onClipRecordedRef.current = onClipRecorded;
+  }, [onClipRecorded]);
+
+  // Photos and video files are shown as taken; only the camera view is mirrored
+  const isMirrored = mirrored && !photo && !videoFile;
+
+  useEffect(() => {
+    onCameraChangeRef.current = onCameraChange;
+    mirroredRef.current = isMirrored;
+  }, [onCameraChange, isMirrored]);
+
+  // Camera source switches replace the stream in place; the scene, Holistic and the frame loop
+  // keep running. The first stream is opened by the main initialization effect; any later source
+  // change reopens the camera, also when no stream could be opened before.
+  useEffect(() => {
+    cameraSourceRef.current = cameraSource;
+    const key = cameraSourceKey(cameraSource);
+    if (requestedSourceKeyRef.current === key) return;
+    requestedSourceKeyRef.current = key;
+    startCamera();
+  }, [cameraSource]);
+
+  // Adjust fit mode: pointer and keyboard input nudge the accessory worn in `adjustSlot`
+  // relative to its tracked anchor. Drag moves, Shift+drag rotates, the wheel resizes. Callbacks
+  // are read through refs, so a new callback from the parent doesn't drop a drag in progress.
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!adjustSlot || !container) return;
+
+    function updateAdjustment(change) {
+      const entry = slotsRef.current[adjustSlot];
+      if (!entry || !onFitAdjustRef.current) return;
+      const current = normalizeFitAdjustment(fitAdjustmentsRef.current[entry.accessory.id]);
+      onFitAdjustRef.current(entry.accessory.id, change(current));
+    }
+
+    // Screen pixels -> offset units (world units at the accessory's depth / tracked scale)
+    function pixelsToOffset(pixels) {
+      const entry = slotsRef.current[adjustSlot];
+      const object = entry?.objects[0];
+      const cam = cameraRef.current;
+      if (!object || !cam || !entry.trackedScale) return 0;
+
+      const distance = cam.position.z - object.position.z;
+      const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(cam.fov / 2));
+      return (pixels * (visibleHeight / frameRef.current.viewHeight)) / entry.trackedScale;
+    }
+
+    function move(dx, dy) {
+      updateAdjustment((adj) => ({
+        ...adj,
+        // In a mirrored view screen x runs against world x
+        offset: {
+          ...adj.offset,
+          x: adj.offset.x + pixelsToOffset(mirroredRef.current ? -dx : dx),
+          y: adj.offset.y - pixelsToOffset(dy),
+        },
+      }));
+    }
+
+    function rotate(axis, delta) {
+      updateAdjustment((adj) => ({ ...adj, rotation: { ...adj.rotation, [axis]: adj.rotation[axis] + delta } }));
+    }
+
+    function resize(factor) {
+      updateAdjustment((adj) => ({ ...adj, scale: Math.max(0.2, Math.min(5, adj.scale * factor)) }));
+    }
+
+    let drag = null;
+    const onPointerDown = (event) => {
+      drag = { x: event.clientX, y: event.clientY, rotate: event.shiftKey };
+      container.setPointerCapture(event.pointerId);
+    };
+    const onPointerMove = (event) => {
+      if (!drag) return;
+      const dx = event.clientX - drag.x;
+      const dy = event.clientY - drag.y;
+      drag.x = event.clientX;
+      drag.y = event.clientY;
+      if (drag.rotate) {
+        rotate("roll", -dx * 0.01);
+      } else {
+        move(dx, dy);
+      }
+    };
+    const onPointerUp = (event) => {
+      drag = null;
+      if (container.hasPointerCapture(event.pointerId)) container.releasePointerCapture(event.pointerId);
+    };
+    const onWheel = (event) => {
+      event.preventDefault();
+      resize(Math.exp(-event.deltaY * 0.001));
+    };
+
+    const ROTATE_STEP = THREE.MathUtils.degToRad(2);
+    const KEY_ACTIONS = {
+      ArrowLeft: () => move(-4, 0),
+      ArrowRight: () => move(4, 0),
+      ArrowUp: () => move(0, -4),
+      ArrowDown: () => move(0, 4),
+      "+": () => resize(1.05),
+      "=": () => resize(1.05),
+      "-": () => resize(1 / 1.05),
+      q: () => rotate("roll", ROTATE_STEP),
+      e: () => rotate("roll", -ROTATE_STEP),
+      a: () => rotate("yaw", ROTATE_STEP),
+      d: () => rotate("yaw", -ROTATE_STEP),
+      w: () => rotate("pitch", ROTATE_STEP),
+      s: () => rotate("pitch", -ROTATE_STEP),
+      r: () => {
+        const entry = slotsRef.current[adjustSlot];
+        if (entry && onFitAdjustRef.current) onFitAdjustRef.current(entry.accessory.id, null);
+      },
+      Escape: () => onAdjustEndRef.current && onAdjustEndRef.current(),
+    };
+    const onKeyDown = (event) => {
+      if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+      const action = KEY_ACTIONS[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+      if (!action) return;
+      event.preventDefault();
+      action();
+    };
+
+    container.addEventListener("pointerdown", onPointerDown);
+    container.addEventListener("pointermove", onPointerMove);
+    container.addEventListener("pointerup", onPointerUp);
+    container.addEventListener("pointercancel", onPointerUp);
+    container.addEventListener("wheel", onWheel, { passive: false });
+    window.addEventListener("keydown", onKeyDown);
+
+    return () => {
+      container.removeEventListener("pointerdown", onPointerDown);
+      container.removeEventListener("pointermove", onPointerMove);
+      container.removeEventListener("pointerup", onPointerUp);
+      container.removeEventListener("pointercancel", onPointerUp);
+      container.removeEventListener("wheel", onWheel);
+      window.removeEventListener("keydown", onKeyDown);
+    };
+  }, [adjustSlot]);
+
+  // Session recording: capture every live Holistic payload while `isRecording` is set
+  useEffect(() => {
+    if (!isRecording) return;
+
+    recorderRef.current = createSessionRecorder({
+      video: { width: frameRef.current.width, height: frameRef.current.height },
+      outfit: Object.values(outfitRef.current).map(({ id, type, name }) => ({ id, type, name })),
+    });
+
+    return () => {
+      const recorder = recorderRef.current;
+      recorderRef.current = null;
+      if (!recorder) return;
+      if (onSessionRecordedRef.current) onSessionRecordedRef.current(recorder.finish());
+    };
+  }, [isRecording]);
+
+  // Session replay: feed recorded frames through the live results path instead of the camera
+  useEffect(() => {
+    if (!isSceneReady || !replaySession) return;
+
+    isReplayingRef.current = true;
+    replayVideoSizeRef.current = replaySession.video || null;
+    // Recorded timestamps start at 0, the live ones are performance.now()
+    resetEntryTracking(slotsRef.current, compareEntryRef.current);
+    updateLayout();
+    setStatusRef.current(`▶️ Replaying session (${replaySession.frames.length} frames)`);
+
+    const player = createSessionPlayer(
+      replaySession,
+      (results, timestamp) => {
+        if (resultsHandlerRef.current) resultsHandlerRef.current(results, { replay: true, timestamp });
+      },
+      {
+        onEnd: () => {
+          isReplayingRef.current = false;
+          replayVideoSizeRef.current = null;
+          resetEntryTracking(slotsRef.current, compareEntryRef.current);
+          updateLayout();
+          setStatusRef.current("Session replay finished");
+          if (onReplayEndRef.current) onReplayEndRef.current();
+        },
       }
+    );
+    player.start();
+
+    return () => {
+      player.stop();
+      isReplayingRef.current = false;
+      replayVideoSizeRef.current = null;
+      resetEntryTracking(slotsRef.current, compareEntryRef.current);
+      updateLayout();
+    };
+  }, [replaySession, isSceneReady]);
+
+  // Photo try-on: Holistic analyses the photo once in static-image mode, then the result is fed
+  // through the live results path every frame, so outfit changes and fit adjustments apply as usual
+  useEffect(() => {
+    if (!photo || !isSceneReady || !isHolisticReady) return;
+
+    let cancelled = false;
+    let frameId = null;
+    photoRef.current = photo;
+    updateLayout();
+    setStatusRef.current("🖼️ Analyzing photo...");
+
+    analyzeImage(photo, { staticImage: true }).then((results) => {
+      if (cancelled || !results) return;
+      if (!results.faceLandmarks && !results.poseLandmarks) {
+        setStatusRef.current("🖼️ No face or body found in the photo");
+        return;
+      }
+      const feed = () => {
+        if (cancelled) return;
+        if (resultsHandlerRef.current) resultsHandlerRef.current(results, { replay: true, timestamp: performance.now() });
+        frameId = requestAnimationFrame(feed);
+      };
+      feed();
+    });
+
+    return () => {
+      cancelled = true;
+      if (frameId) cancelAnimationFrame(frameId);
+      photoRef.current = null;
+      updateLayout();
+    };
+  }, [photo, isSceneReady, isHolisticReady]);
+
+  // Snapshot export: composite the current background and overlay whenever `snapshotRequest` changes
+  useEffect(() => {
+    if (!snapshotRequest || !rendererRef.current || !sceneRef.current || !cameraRef.current) return;
+
+    const background = photoRef.current || videoRef.current;
+    // Render right before reading the canvas back; its drawing buffer isn't preserved
+    renderScene();
+    const canvas = composeSnapshot({
+      background,
+      overlay: rendererRef.current.domElement,
+      mirrored: mirroredRef.current,
+    });
+    canvasToBlob(canvas)
+      .then((blob) => onSnapshotRef.current && onSnapshotRef.current(blob))
+      .catch((err) => {
+        console.error("Snapshot failed:", err);
+        setStatusRef.current("Snapshot failed");
+      });
+  }, [snapshotRequest]);
+
+  // Video file processing: each frame of the file is analysed, aligned and composited at its own
+  // timestamp and recorded into a new video. Clearing `videoFile` cancels.
+  useEffect(() => {
+    if (!videoFile || !isSceneReady || !isHolisticReady || !fileVideoRef.current) return;
+
+    const video = fileVideoRef.current;
+    const url = URL.createObjectURL(videoFile);
+    const controller = new AbortController();
+    video.src = url;
+    isProcessingVideoRef.current = true;
+    setIsClipRecording(false);
+
+    resetEntryTracking(slotsRef.current, compareEntryRef.current);
+
+    const onProgress = (fraction) => onVideoProgressRef.current && onVideoProgressRef.current(fraction);
+    let previousTimestamp = null;
+    const renderFrame = async (timestamp) => {
+      const results = await analyzeImage(video);
+      if (results && resultsHandlerRef.current) resultsHandlerRef.current(results, { replay: true, timestamp });
+      fadeAccessories(previousTimestamp === null ? 0 : timestamp - previousTimestamp);
+      previousTimestamp = timestamp;
+      // Render right before reading the canvas back; its drawing buffer isn't preserved
+      renderScene();
+      return composeSnapshot({ background: video, overlay: rendererRef.current.domElement });
+    };
+
+    waitForMetadata(video)
+      .then(() => {
+        // Render at the file's own resolution while processing
+        updateLayout();
+        setStatusRef.current(`🎞️ Processing ${videoFile.name}...`);
+        return processVideo(video, { renderFrame, onProgress, signal: controller.signal });
+      })
+      .then((blob) => {
+        setStatusRef.current(`🎞️ ${videoFile.name} processed`);
+        if (onVideoProcessedRef.current) onVideoProcessedRef.current(blob);
+      })
+      .catch((err) => {
+        if (err.name === "AbortError") {
+          setStatusRef.current("🎞️ Video processing cancelled");
+          return;
+        }
+        console.error("Video processing failed:", err);
+        setStatusRef.current(`🎞️ Video processing failed: ${err.message}`);
+        if (onVideoProcessedRef.current) onVideoProcessedRef.current(null);
+      });
+
+    return () => {
+      controller.abort();
+      isProcessingVideoRef.current = false;
+      resetEntryTracking(slotsRef.current, compareEntryRef.current);
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+      updateLayout();
+    };
+  }, [videoFile, isSceneReady, isHolisticReady]);
+
+  // Clip recording: while `isClipRecording` is set, every rendered frame is composited with the
+  // background into the recorder; stopping hands the WebM to `onClipRecorded`. The audio toggle
+  // is disabled while recording.
+  useEffect(() => {
+    if (!isClipRecording || !rendererRef.current) return;
+
+    let cancelled = false;
+    const overlay = rendererRef.current.domElement;
+    const recording = createClipRecorder({ width: overlay.width, height: overlay.height, audio: recordAudio });
+    recording
+      .then((recorder) => {
+        if (cancelled) return;
+        clipRecorderRef.current = recorder;
+        setStatusRef.current(recorder.hasAudio ? "⏺️ Recording clip with audio" : "⏺️ Recording clip");
+      })
+      .catch((err) => {
+        console.error("Clip recording failed:", err);
+        setStatusRef.current(`Clip recording failed: ${err.message}`);
+        setIsClipRecording(false);
+      });
+
+    return () => {
+      cancelled = true;
+      clipRecorderRef.current = null;
+      recording
+        .then((recorder) => recorder.stop())
+        .then((blob) => {
+          setStatusRef.current("Clip saved");
+          if (onClipRecordedRef.current) onClipRecordedRef.current(blob);
+        })
+        .catch(() => {});
+    };
+  }, [isClipRecording, recordAudio]);
+
+  useEffect(() => {
+    dividerRef.current = divider;
+  }, [divider]);
+
+  // Divider dragging in compare mode; pointer capture keeps the drag on the handle, and the
+  // event doesn't reach the fit adjustment handlers on the container
+  const onDividerPointerDown = (event) => {
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const onDividerPointerMove = (event) => {
+    if (!event.currentTarget.hasPointerCapture(event.pointerId) || !containerRef.current) return;
+    const rect = containerRef.current.getBoundingClientRect();
+    setDivider(Math.min(0.95, Math.max(0.05, (event.clientX - rect.left) / rect.width)));
+  };
+
+  // Accessory loading effect: one model per outfit slot, only changed slots are reloaded
+  useEffect(() => {
+    if (!isSceneReady) return;
+
+    Object.keys(slotsRef.current).forEach((slot) => {
+      if (slotsRef.current[slot].accessory.id !== outfit[slot]?.id) cleanupSlot(slot);
+    });
+
+    Object.entries(outfit).forEach(([slot, accessoryConfig]) => {
+      if (!accessoryConfig?.path || slotsRef.current[slot]) return;
+      const entry = createAccessoryEntry(accessoryConfig);
+      slotsRef.current[slot] = entry;
+      // The slot may be emptied or replaced while the model is still downloading
+      loadAccessoryModel(entry, () => slotsRef.current[slot] === entry).then(updateLoadedState);
+    });
+
+    updateLoadedState();
+  }, [outfit, isSceneReady]);
+
+  // Download models the user is likely to pick next (see assetManager.js prefetch); keyed by the
+  // paths, since the parent passes a new array on every render
+  const prefetchKey = prefetch.join("|");
+  useEffect(() => {
+    if (isSceneReady && prefetchKey) assetManagerRef.current?.prefetch(prefetchKey.split("|"));
+  }, [prefetchKey, isSceneReady]);
+
+  // Compare accessory loading effect: reloaded only when the compared slot or item id changes
+  useEffect(() => {
+    if (!isSceneReady) return;
+
+    const current = compareEntryRef.current;
+    if (current && current.slot === compare?.slot && current.accessory.id === compare?.accessory?.id) return;
+    cleanupCompareEntry();
+    if (compare?.accessory?.path) {
+      const entry = { ...createAccessoryEntry(compare.accessory), slot: compare.slot };
+      compareEntryRef.current = entry;
+      loadAccessoryModel(entry, () => compareEntryRef.current === entry).then(updateLoadedState);
     }
 
-    loadAccessoryModel(accessory);
-  }, [accessory, isSceneReady]);
+    updateLoadedState();
+  }, [compare?.slot, compare?.accessory, isSceneReady]);
 
-  function setupAccessoryMesh(mesh) {
-    mesh.traverse((child) => {
-      if (child.isMesh) {
-        child.material.depthTest = true;
-        child.material.depthWrite = true;
+  function createAccessoryEntry(accessoryConfig) {
+    return {
+      accessory: accessoryConfig,
+      objects: [],
+      // Each worn accessory gets its own filter state
+      filter: createAlignmentFilter(FILTER_PARAMS[accessoryConfig.type]),
+      tracking: createTrackingStateMachine(TRACKING_PARAMS[accessoryConfig.type]),
+      fit: resolveFit(accessoryConfig),
+      loaded: false,
+    };
+  }
+
+  // Loads an entry's model into the scene; `isCurrent` tells whether the entry is still wanted.
+  // Callers update the loaded state once it settles.
+  async function loadAccessoryModel(entry, isCurrent) {
+    const accessoryConfig = entry.accessory;
+    const assetManager = assetManagerRef.current;
+    // Earrings are worn as a pair: two clones of the same model
+    const instanceCount = accessoryConfig.type === ACCESSORY_TYPES.EARRINGS ? 2 : 1;
+    const onProgress = ({ loaded, total }) => {
+      if (!isCurrent()) return;
+      const percent = total ? ((loaded / total) * 100).toFixed(0) : "-";
+      setStatusRef.current(`Loading ${accessoryConfig.name}... ${percent}%`);
+    };
+
+    setStatusRef.current(`Loading ${accessoryConfig.name}...`);
+    const results = await Promise.allSettled(
+      Array.from({ length: instanceCount }, () => assetManager.acquire(accessoryConfig.path, { onProgress }))
+    );
+    const instances = results.filter((result) => result.status === "fulfilled").map((result) => result.value);
+    const failure = results.find((result) => result.status === "rejected");
+
+    // Dropped while loading, or only partly loaded: hand the clones straight back
+    if (!isCurrent() || failure || !sceneRef.current) {
+      instances.forEach(() => assetManager.release(accessoryConfig.path));
+      if (isCurrent() && failure) {
+        console.error(`Error loading ${accessoryConfig.name}:`, failure.reason);
+        // Reported instead of shown; the entry counts as loaded so the loading indicator settles
+        entry.loaded = true;
+        entry.failed = true;
+        setStatusRef.current(`⚠️ Failed to load ${accessoryConfig.name}`);
+        if (onAccessoryErrorRef.current) onAccessoryErrorRef.current(accessoryConfig, failure.reason);
       }
+      return;
+    }
+
+    console.log(`Accessory loaded: ${accessoryConfig.name} (${accessoryConfig.type})`);
+    instances.forEach((instance) => {
+      setupAccessoryMesh(instance);
+      sceneRef.current.add(instance);
+      entry.objects.push(instance);
     });
-    mesh.scale.set(0.1, 0.1, 0.1);
-    mesh.position.set(0, 0, 0);
-    mesh.visible = false;
-    mesh.renderOrder = 0;
+    entry.loaded = true;
+    setStatusRef.current(`${accessoryConfig.name} loaded successfully!`);
   }
 
-  function cleanupAccessories() {
-    if (accessoryRef.current && sceneRef.current) {
-      sceneRef.current.remove(accessoryRef.current);
-      accessoryRef.current = null;
+  // Sizes the renderer and camera to the viewer and recomputes where the video sits in it;
+  // runs on viewer resize and whenever the video's (or a replayed session's) size is known
+  function updateLayout() {
+    const container = containerRef.current;
+    const renderer = rendererRef.current;
+    const camera = cameraRef.current;
+    if (!container || !renderer || !camera) return;
+
+    // A video file is processed at its own resolution: the drawing buffer matches the file and
+    // the canvas is cover-scaled into the viewer by CSS, like the video element
+    const fileVideo = fileVideoRef.current;
+    if (isProcessingVideoRef.current && fileVideo?.videoWidth) {
+      const { videoWidth, videoHeight } = fileVideo;
+      frameRef.current = computeFrameLayout(videoWidth, videoHeight, videoWidth, videoHeight);
+      // Offline output is always rendered at full resolution
+      renderer.setPixelRatio(1);
+      renderer.setSize(videoWidth, videoHeight, false);
+      camera.aspect = videoWidth / videoHeight;
+      camera.updateProjectionMatrix();
+      return;
     }
 
-    if (accessoryInstancesRef.current.length > 0) {
-      accessoryInstancesRef.current.forEach((instance) => {
-        if (sceneRef.current) sceneRef.current.remove(instance);
-      });
-      accessoryInstancesRef.current = [];
+    const video = videoRef.current;
+    const photo = photoRef.current;
+    const videoSize =
+      (photo && { width: photo.naturalWidth, height: photo.naturalHeight }) ||
+      replayVideoSizeRef.current ||
+      (video?.videoWidth ? { width: video.videoWidth, height: video.videoHeight } : REFERENCE_FRAME);
+    const viewWidth = container.clientWidth || REFERENCE_FRAME.width;
+    const viewHeight = container.clientHeight || REFERENCE_FRAME.height;
+
+    frameRef.current = computeFrameLayout(videoSize.width, videoSize.height, viewWidth, viewHeight);
+    renderer.setPixelRatio(qualityRef.current.pixelRatio);
+    renderer.setSize(viewWidth, viewHeight);
+    camera.aspect = viewWidth / viewHeight;
+    camera.updateProjectionMatrix();
+  }
+
+  // Opens the current camera source and plays it in the video element, replacing any previous
+  // stream; resolves to false when no camera could be opened
+  async function startCamera() {
+    const source = cameraSourceRef.current;
+    setStatusRef.current("Requesting camera access...");
+
+    let stream;
+    try {
+      stream = await openCameraStream(source);
+    } catch (err) {
+      // Some devices can't open a second camera while one is streaming: release it and retry
+      if (streamRef.current) {
+        stopStream(streamRef.current);
+        streamRef.current = null;
+        stream = await openCameraStream(source).catch(() => null);
+      }
+      if (!stream) {
+        console.error("Camera access denied:", err);
+        setStatusRef.current("Camera access denied");
+        return false;
+      }
+    }
+
+    const video = videoRef.current;
+    if (!video) {
+      // Unmounted while the camera was opening
+      stopStream(stream);
+      return false;
+    }
+
+    if (streamRef.current !== stream) stopStream(streamRef.current);
+    streamRef.current = stream;
+    video.srcObject = stream;
+    await video.play().catch(() => {});
+    setStatusRef.current("Camera ready");
+
+    const settings = stream.getVideoTracks()[0]?.getSettings() || {};
+    if (onCameraChangeRef.current) onCameraChangeRef.current(settings);
+    return true;
+  }
+
+  // Runs Holistic on one image outside the live camera loop and resolves to its landmarks.
+  // Still photos use static-image mode (no temporal tracking between frames); consecutive video
+  // file frames keep tracking on.
+  async function analyzeImage(image, { staticImage = false } = {}) {
+    const tracker = trackerRef.current;
+    if (!tracker) return null;
+
+    // Let the last live frame finish so its tracking doesn't carry over into this image
+    await pendingSendRef.current?.catch(() => {});
+    try {
+      return await tracker.send(image, { staticImage });
+    } catch (err) {
+      console.error("Image analysis failed:", err);
+      setStatusRef.current("Image analysis failed");
+      return null;
     }
   }
 
-  function createFallbackModel(type) {
-    if (!sceneRef.current) return;
+  // Sends changed model options to the worker; Holistic reloads its graph for every change
+  function updateTrackingOptions() {
+    const tracker = trackerRef.current;
+    if (!tracker) return;
+    const options = trackingOptions(qualityRef.current, outfitRef.current);
+    const sent = trackerOptionsRef.current;
+    if (sent?.modelComplexity === options.modelComplexity && sent?.refineFaceLandmarks === options.refineFaceLandmarks) {
+      return;
+    }
+    trackerOptionsRef.current = options;
+    tracker.setOptions(options);
+  }
+
+  function updateLoadedState() {
+    const entries = [...Object.values(slotsRef.current), compareEntryRef.current].filter(Boolean);
+    setIsAccessoryLoadedRef.current(entries.every((entry) => entry.loaded));
+  }
+
+  function cleanupSlot(slot) {
+    const entry = slotsRef.current[slot];
+    if (!entry) return;
+
+    removeEntryObjects(entry, sceneRef.current, assetManagerRef.current);
+    delete slotsRef.current[slot];
+  }
+
+  function cleanupCompareEntry() {
+    const entry = compareEntryRef.current;
+    if (!entry) return;
+
+    removeEntryObjects(entry, sceneRef.current, assetManagerRef.current);
+    compareEntryRef.current = null;
+  }
+
+  function cleanupAccessories() {
+    [...Object.values(slotsRef.current), compareEntryRef.current].filter(Boolean).forEach((entry) => {
+      removeEntryObjects(entry, sceneRef.current, assetManagerRef.current);
+    });
+    slotsRef.current = {};
+    compareEntryRef.current = null;
+  }
 
-    console.log(`Creating fallback model for ${type}`);
-    const geometry = new THREE.BoxGeometry(0.08, 0.08, 0.08);
-    const material = new THREE.MeshBasicMaterial({
-      color: type === ACCESSORY_TYPES.EARRINGS ? 0xffd700 : 0x00ff00,
-      wireframe: false,
-      transparent: true,
-      opacity: 0.8,
+  // Steps every worn accessory's fade by `dt` ms (see createTrackingStateMachine); the compared
+  // accessory fades with the one it is compared against
+  function fadeAccessories(dt) {
+    const compareEntry = activeCompareEntry(compareEntryRef.current, slotsRef.current);
+    Object.entries(slotsRef.current).forEach(([slot, entry]) => {
+      const opacity = entry.tracking.fade(dt);
+      setAccessoryOpacity(entry, opacity);
+      if (compareEntry?.slot === slot) setAccessoryOpacity(compareEntry, opacity);
     });
+  }
 
-    if (type === ACCESSORY_TYPES.EARRINGS) {
-      for (let i = 0; i < 2; i++) {
-        const cube = new THREE.Mesh(geometry, material);
-        cube.position.set(i === 0 ? -0.2 : 0.2, 0, -0.3);
-        cube.visible = true;
-        cube.renderOrder = 1;
-        sceneRef.current.add(cube);
-        accessoryInstancesRef.current.push(cube);
-      }
-    } else {
-      const cube = new THREE.Mesh(geometry, material);
-      cube.position.set(0, 0, -0.3);
-      cube.visible = true;
-      cube.renderOrder = 1;
-      sceneRef.current.add(cube);
-      accessoryRef.current = cube;
+  // Renders the scene. In compare mode it is rendered twice into the two sides of the divider,
+  // each side showing only one of the two compared accessories.
+  function renderScene() {
+    const renderer = rendererRef.current;
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    if (!renderer || !scene || !camera) return;
+
+    const compareEntry = activeCompareEntry(compareEntryRef.current, slotsRef.current);
+    if (!compareEntry) {
+      renderer.render(scene, camera);
+      return;
     }
 
-    setIsAccessoryLoaded(true);
-    setStatus(`Using DEBUG MODE for ${type}`);
+    const { x: width, y: height } = renderer.getSize(new THREE.Vector2());
+    // The divider is placed in the viewer; the canvas is flipped by CSS when mirrored
+    const split = Math.round(width * dividerRef.current);
+    const sides = [
+      { shown: slotsRef.current[compareEntry.slot], hidden: compareEntry, x: 0, width: split },
+      { shown: compareEntry, hidden: slotsRef.current[compareEntry.slot], x: split, width: width - split },
+    ];
+    renderer.setScissorTest(true);
+    sides.forEach((side) => {
+      const x = mirroredRef.current ? width - side.x - side.width : side.x;
+      const wasVisible = side.hidden.objects.map((object) => object.visible);
+      side.hidden.objects.forEach((object) => (object.visible = false));
+      renderer.setScissor(x, 0, side.width, height);
+      renderer.render(scene, camera);
+      side.hidden.objects.forEach((object, index) => (object.visible = wasVisible[index]));
+    });
+    renderer.setScissorTest(false);
   }
 
   // Main initialization effect
   useEffect(() => {
     let running = true;
-
-    async function initCameraElement() {
-      try {
-        setStatus("Requesting camera access...");
-        const stream = await navigator.mediaDevices.getUserMedia({
-          video: { width: VIDEO_WIDTH, height: VIDEO_HEIGHT, facingMode: "user" },
-          audio: false,
-        });
-        if (videoRef.current) {
-          videoRef.current.srcObject = stream;
-          return new Promise((resolve) => {
-            videoRef.current.onloadedmetadata = () => {
-              setStatus("Camera ready");
-              resolve();
-            };
-          });
-        }
-      } catch (err) {
-        console.error("Camera access denied:", err);
-        setStatus("Camera access denied");
-        throw err;
-      }
-    }
+    let resizeObserver = null;
+    // The camera video element, kept for the cleanup to remove its listeners from
+    const video = videoRef.current;
+    // Arrival time of the last results and the smoothed time between results (ms), which is how
+    // long accessories take to ease to each new pose
+    let lastResultsAt = 0;
+    let resultsInterval = 0;
+    // Render and tracking statistics, and the quality level they drive
+    const performanceMonitor = createPerformanceMonitor();
+    const qualityController = createQualityController({ onChange: applyQuality });
+    let performanceUpdatedAt = 0;
+    let renderedAt = null;
 
     async function initThreeJS() {
       try {
-        setStatus("Initializing 3D scene...");
+        setStatusRef.current("Initializing 3D scene...");
 
         const scene = new THREE.Scene();
-        const camera = new THREE.PerspectiveCamera(50, VIDEO_WIDTH / VIDEO_HEIGHT, 0.01, 100);
-        const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true, stencil: true });
-
-        renderer.setSize(VIDEO_WIDTH, VIDEO_HEIGHT);
-        renderer.setClearColor(0x000000, 0);
-        renderer.domElement.style.position = "absolute";
-        renderer.domElement.style.top = "0";
-        renderer.domElement.style.left = "0";
-        renderer.domElement.style.pointerEvents = "none";
-        renderer.sortObjects = true;
+        const camera = new THREE.PerspectiveCamera(50, REFERENCE_FRAME.width / REFERENCE_FRAME.height, 0.01, 100);
+        const renderer = createRenderer({ antialias: qualityRef.current.antialias });
 
         if (threeContainerRef.current) {
           threeContainerRef.current.appendChild(renderer.domElement);
@@ -530,13 +1538,15 @@ export default function FaceMeshViewer({ accessory, setDebugInfo, setIsAccessory
         sceneRef.current = scene;
         rendererRef.current = renderer;
         cameraRef.current = camera;
+        assetManagerRef.current = createAssetManager({ renderer });
+        updateLayout();
         setIsSceneReady(true);
 
-        setStatus("3D scene initialized");
+        setStatusRef.current("3D scene initialized");
         return { scene, camera, renderer };
       } catch (err) {
         console.error("Three.js initialization error:", err);
-        setStatus("3D initialization failed");
+        setStatusRef.current("3D initialization failed");
         throw err;
       }
     }
@@ -562,7 +1572,82 @@ export default function FaceMeshViewer({ accessory, setDebugInfo, setIsAccessory
       faceOccluderRef.current = occluder;
     }
 
-    function updateFaceOccluderFromFaceLandmarks(facePoints) {
+    // Depth-only cylinders around the ring finger and the wrist, so the far side of a ring,
+    // bracelet or watch strap is hidden behind the hand
+    function createHandOccluder() {
+      if (!sceneRef.current) return;
+
+      const geometry = new THREE.CylinderGeometry(1, 1, 1, 16);
+      const material = new THREE.MeshBasicMaterial({
+        colorWrite: false,
+        depthWrite: true,
+        depthTest: true,
+      });
+
+      const group = new THREE.Group();
+      ["finger", "wrist"].forEach((name) => {
+        const cylinder = new THREE.Mesh(geometry, material);
+        cylinder.name = name;
+        cylinder.renderOrder = -1;
+        group.add(cylinder);
+      });
+      group.visible = false;
+
+      sceneRef.current.add(group);
+      handOccluderRef.current = group;
+    }
+
+    // Converts a pixel length to world units on the given depth plane
+    function pixelsToWorld(pixels, planeZ) {
+      const left = uvToWorld(0, 0.5, planeZ);
+      const right = uvToWorld(1, 0.5, planeZ);
+      return (pixels / frameRef.current.width) * left.distanceTo(right);
+    }
+
+    function placeCylinder(mesh, start, end, radius) {
+      const { width, height } = frameRef.current;
+      const startWorld = uvToWorld(start.x / width, start.y / height, HAND_PLANE_Z);
+      const endWorld = uvToWorld(end.x / width, end.y / height, HAND_PLANE_Z);
+      const direction = endWorld.clone().sub(startWorld);
+      const length = direction.length();
+      if (length === 0) return;
+
+      mesh.position.copy(startWorld).add(endWorld).multiplyScalar(0.5);
+      mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.normalize());
+      mesh.scale.set(radius, length, radius);
+    }
+
+    function updateHandOccluder(handPoints) {
+      const occluder = handOccluderRef.current;
+      if (!occluder) return;
+      if (!handPoints || handPoints.length < 21) {
+        occluder.visible = false;
+        return;
+      }
+
+      const wrist = handPoints[HAND_LANDMARKS.wrist];
+      const middleMcp = handPoints[HAND_LANDMARKS.middleMcp];
+      const ringMcp = handPoints[HAND_LANDMARKS.ringMcp];
+      const ringPip = handPoints[HAND_LANDMARKS.ringPip];
+      const indexMcp = handPoints[HAND_LANDMARKS.indexMcp];
+      const pinkyMcp = handPoints[HAND_LANDMARKS.pinkyMcp];
+
+      const fingerWidth = Math.hypot(ringMcp.x - middleMcp.x, ringMcp.y - middleMcp.y);
+      const palmWidth = Math.hypot(pinkyMcp.x - indexMcp.x, pinkyMcp.y - indexMcp.y);
+
+      placeCylinder(occluder.getObjectByName("finger"), ringMcp, ringPip, pixelsToWorld(fingerWidth * 0.4, HAND_PLANE_Z));
+      placeCylinder(
+        occluder.getObjectByName("wrist"),
+        lerpPoint(wrist, middleMcp, -0.6),
+        lerpPoint(wrist, middleMcp, 0.1),
+        pixelsToWorld(palmWidth * 0.35, HAND_PLANE_Z)
+      );
+      occluder.visible = true;
+    }
+
+    // `headCap` ({ up, height } in pixels) raises a band above the upper silhouette so the back
+    // rim of headwear is hidden behind the top of the head
+    function updateFaceOccluderFromFaceLandmarks(facePoints, headCap = null) {
       if (!faceOccluderRef.current || !facePoints || facePoints.length < 468) {
         if (faceOccluderRef.current) faceOccluderRef.current.visible = false;
         return;
@@ -572,15 +1657,33 @@ export default function FaceMeshViewer({ accessory, setDebugInfo, setIsAccessory
         const vertices = [];
         for (let i = 0; i < facePoints.length; i++) {
           const lm = facePoints[i];
-          const worldPos = uvToWorld(lm.x / VIDEO_WIDTH, lm.y / VIDEO_HEIGHT, -0.15);
+          const worldPos = uvToWorld(lm.x / frameRef.current.width, lm.y / frameRef.current.height, FACE_PLANE_Z);
           vertices.push(worldPos.x, worldPos.y, worldPos.z);
         }
 
         const geometry = faceOccluderRef.current.geometry;
-        geometry.setAttribute("position", new THREE.Float32BufferAttribute(vertices, 3));
 
         // FACEMESH_TRIANGULATION is an array of indices; ensure it's flat indices
         const indices = FACEMESH_TRIANGULATION.flat ? FACEMESH_TRIANGULATION.flat() : FACEMESH_TRIANGULATION;
+
+        if (headCap) {
+          const base = facePoints.length;
+          UPPER_SILHOUETTE.forEach((index, k) => {
+            const lm = facePoints[index];
+            const worldPos = uvToWorld(
+              (lm.x + headCap.up.x * headCap.height) / frameRef.current.width,
+              (lm.y + headCap.up.y * headCap.height) / frameRef.current.height,
+              FACE_PLANE_Z
+            );
+            vertices.push(worldPos.x, worldPos.y, worldPos.z);
+            if (k > 0) {
+              const a = UPPER_SILHOUETTE[k - 1];
+              indices.push(a, index, base + k, a, base + k, base + k - 1);
+            }
+          });
+        }
+
+        geometry.setAttribute("position", new THREE.Float32BufferAttribute(vertices, 3));
         geometry.setIndex(indices);
         geometry.computeVertexNormals();
 
@@ -591,203 +1694,396 @@ export default function FaceMeshViewer({ accessory, setDebugInfo, setIsAccessory
       }
     }
 
+    // Video UV -> world point on the plane z = planeZ. The video is cropped to the viewer
+    // (object-fit: cover), so UVs are first scaled about the centre into viewer UVs.
     function uvToWorld(u, v, planeZ = 0) {
       const cam = cameraRef.current;
-      const ndc = new THREE.Vector3(u * 2 - 1, 1 - v * 2, 0.5);
+      const { uScale, vScale } = frameRef.current;
+      const ndc = new THREE.Vector3((u * 2 - 1) * uScale, (1 - v * 2) * vScale, 0.5);
       ndc.unproject(cam);
       const dir = ndc.sub(cam.position).normalize();
       const t = (planeZ - cam.position.z) / dir.z;
       return cam.position.clone().add(dir.multiplyScalar(t));
     }
 
-    function updateAccessoryAlignment(alignment) {
-      if (!alignment || !alignment.visible) {
-        hideAllAccessories();
-        return;
-      }
-
-      if (alignment.isMultiple && accessoryInstancesRef.current.length > 0) {
+    // Applies an alignment to one worn accessory, plus the user's saved fit adjustment for it;
+    // its objects ease to the new pose over `duration` ms. Returns a short debug description.
+    function updateAccessoryAlignment(entry, alignment, duration = 0) {
+      if (!alignment || !alignment.visible) return null;
+
+      const adjustment = normalizeFitAdjustment(fitAdjustmentsRef.current[entry.accessory.id]);
+      const trackedScale = Math.max(0.1, Math.min(4.0, alignment.scale));
+      entry.trackedScale = trackedScale;
+      const rotation = {
+        pitch: alignment.rotation.pitch + adjustment.rotation.pitch,
+        yaw: alignment.rotation.yaw + adjustment.rotation.yaw,
+        roll: alignment.rotation.roll + adjustment.rotation.roll,
+      };
+      const { offset } = adjustment;
+      const clampedScale = Math.max(0.1, Math.min(4.0, trackedScale * adjustment.scale));
+
+      if (alignment.isMultiple) {
         alignment.positions.forEach((pos, index) => {
-          if (accessoryInstancesRef.current[index]) {
-            const instance = accessoryInstancesRef.current[index];
-            instance.visible = true;
-            instance.position.set(pos.x, pos.y, pos.z);
-            instance.rotation.x = alignment.rotation.pitch;
-            instance.rotation.y = alignment.rotation.yaw;
-            instance.rotation.z = alignment.rotation.roll;
-
-            const clampedScale = Math.max(0.1, Math.min(4.0, alignment.scale));
-            instance.scale.setScalar(clampedScale);
-            instance.updateMatrix();
-            instance.updateMatrixWorld(true);
+          if (entry.objects[index]) {
+            // Mirror the horizontal offset for the left instance so a pair moves outward/inward together
+            const side = index === 0 ? -1 : 1;
+            const position = {
+              x: pos.x + side * offset.x * trackedScale,
+              y: pos.y + offset.y * trackedScale,
+              z: pos.z + offset.z * trackedScale,
+            };
+            setPoseTarget(entry.objects[index], { position, rotation, scale: clampedScale }, duration);
           }
         });
 
-        setDebugInfo(
-          `Earrings - L:(${alignment.positions[0].x.toFixed(2)},${alignment.positions[0].y.toFixed(2)}) Scale:${alignment.scale.toFixed(2)}`
-        );
-      } else if (accessoryRef.current) {
-        const { position, rotation, scale } = alignment;
-        accessoryRef.current.visible = true;
-        accessoryRef.current.position.set(position.x, position.y, position.z);
-        accessoryRef.current.rotation.x = rotation.pitch;
-        accessoryRef.current.rotation.y = rotation.yaw;
-        accessoryRef.current.rotation.z = rotation.roll;
-
-        const clampedScale = Math.max(0.1, Math.min(4.0, scale));
-        accessoryRef.current.scale.setScalar(clampedScale);
-        accessoryRef.current.updateMatrix();
-        accessoryRef.current.updateMatrixWorld(true);
-
-        setDebugInfo(
-          `Pos:(${position.x.toFixed(2)},${position.y.toFixed(2)},${position.z.toFixed(2)}) Scale:${clampedScale.toFixed(
-            2
-          )}`
-        );
+        return `${entry.accessory.name} - L:(${alignment.positions[0].x.toFixed(2)},${alignment.positions[0].y.toFixed(
+          2
+        )}) Scale:${alignment.scale.toFixed(2)}`;
       }
 
-      if (rendererRef.current && sceneRef.current && cameraRef.current) {
-        rendererRef.current.clear(false, true, false);
-        rendererRef.current.render(sceneRef.current, cameraRef.current);
-      }
-    }
+      const model = entry.objects[0];
+      if (!model) return null;
+
+      const { position } = alignment;
+      setPoseTarget(
+        model,
+        {
+          position: {
+            x: position.x + offset.x * trackedScale,
+            y: position.y + offset.y * trackedScale,
+            z: position.z + offset.z * trackedScale,
+          },
+          rotation,
+          scale: clampedScale,
+        },
+        duration
+      );
 
-    function hideAllAccessories() {
-      if (accessoryRef.current) accessoryRef.current.visible = false;
-      accessoryInstancesRef.current.forEach((instance) => (instance.visible = false));
+      return `${entry.accessory.name} - Pos:(${position.x.toFixed(2)},${position.y.toFixed(2)},${position.z.toFixed(
+        2
+      )}) Scale:${clampedScale.toFixed(2)}`;
     }
 
-    // Holistic onResults callback
-    function onHolisticResults(results) {
-      if (!running) return;
-
-      // Convert landmarks into pixel-space points similar to your previous detector output
-      const facePoints = results.faceLandmarks ? convertFaceLandmarksToPixelPoints(results.faceLandmarks) : null;
-      const posePoints = results.poseLandmarks ? convertPoseLandmarksToPixelPoints(results.poseLandmarks) : null;
-
-      // update occluder
-      if (facePoints) updateFaceOccluderFromFaceLandmarks(facePoints);
+    // Per-frame confidence of the region an accessory is anchored to
+    function confidenceFor(type, confidence, hand) {
+      if (type === ACCESSORY_TYPES.NECKLACE || type === ACCESSORY_TYPES.T_SHIRT) return confidence.pose;
+      if (HAND_ACCESSORY_TYPES.includes(type)) return hand ? confidence[`${hand.handedness}Hand`] : 0;
+      return confidence.face;
+    }
 
-      // determine alignment strategy based on current accessory
-      const currentAccessory = currentAccessoryRef.current;
-      const strategy = AccessoryAlignmentStrategies[currentAccessory?.type];
+    // Runs the alignment strategy for one worn accessory against this frame's landmarks
+    function computeAlignment(entry, { results, facePoints, headPose, hand, handPoints }) {
+      const { type } = entry.accessory;
+      const strategy = AccessoryAlignmentStrategies[type];
+      if (!strategy) {
+        // no strategy for this accessory — keep it hidden
+        console.warn("No alignment strategy for", type);
+        return null;
+      }
 
-      let alignment = null;
+      const { fit } = entry;
+      const frame = frameRef.current;
+      let alignment;
       try {
-        if (strategy) {
+        if (type === ACCESSORY_TYPES.NECKLACE || type === ACCESSORY_TYPES.T_SHIRT) {
           // Necklace strategy needs raw normalized pose landmarks
-          if (currentAccessory?.type === ACCESSORY_TYPES.NECKLACE || currentAccessory?.type === ACCESSORY_TYPES.T_SHIRT) {
-            alignment = strategy(results.poseLandmarks, uvToWorld);
-          } else {
-            alignment = strategy(facePoints, uvToWorld); // Other strategies use pixel-space points
-          }
+          alignment = results.poseLandmarks ? strategy(results.poseLandmarks, uvToWorld, { fit, frame }) : { visible: false };
+        } else if (HAND_ACCESSORY_TYPES.includes(type)) {
+          alignment = handPoints
+            ? strategy(handPoints, uvToWorld, { handedness: hand.handedness, fit, frame })
+            : { visible: false };
         } else {
-          // no strategy for current accessory — hide accessories
-          console.warn("No alignment strategy for", currentAccessory?.type);
+          // Other strategies use pixel-space points
+          alignment = facePoints ? strategy(facePoints, uvToWorld, { headPose, fit, frame }) : { visible: false };
         }
       } catch (err) {
         console.error("Alignment strategy error:", err);
+        return null;
       }
 
-      if (alignment && alignment.visible) {
-        setStatus(`✅ Tracking face - ${currentAccessory?.name || "accessory"} aligned`);
-      } else {
-        setStatus("👋 No face/pose detected or accessory not visible");
+      // Per-model rotation correction on top of the tracked rotation
+      if (alignment?.visible) {
+        const { pitch, yaw, roll } = fit.rotationCorrection;
+        alignment.rotation = {
+          pitch: alignment.rotation.pitch + pitch,
+          yaw: alignment.rotation.yaw + yaw,
+          roll: alignment.rotation.roll + roll,
+        };
       }
+      return alignment;
+    }
 
-      updateAccessoryAlignment(alignment);
+    // Alignment of the compared accessory from the same tracked frame: a model of the same type
+    // reuses the worn accessory's filtered alignment; another type worn in the slot (e.g. a watch
+    // against a ring) needs its own anchor, so it runs its own strategy on the same landmarks
+    function compareAlignment(compared, entry, alignment, inputs, timestamp) {
+      if (compared.accessory.type === entry.accessory.type) {
+        return retargetAlignment(alignment, entry.fit, compared.fit);
+      }
+      const own = computeAlignment(compared, inputs);
+      return own?.visible ? compared.filter.apply(own, timestamp) : null;
+    }
+
+    // Landmark results of the live camera (also fed by session replay, photos and video files).
+    // Updates the tracked poses; the render loop draws them.
+    function onHolisticResults(results, { replay = false, timestamp = performance.now() } = {}) {
+      if (!running) return;
+      if (!replay && (isReplayingRef.current || photoRef.current || isProcessingVideoRef.current)) return;
+
+      const now = performance.now();
+      if (lastResultsAt) resultsInterval = resultsInterval * 0.8 + (now - lastResultsAt) * 0.2;
+      lastResultsAt = now;
+      // Video file frames are rendered right after their results, so they are posed immediately
+      const poseDuration = isProcessingVideoRef.current ? 0 : resultsInterval;
+
+      if (recorderRef.current) recorderRef.current.addFrame(results);
+
+      // Convert landmarks into pixel-space points similar to your previous detector output
+      const facePoints = results.faceLandmarks
+        ? convertFaceLandmarksToPixelPoints(results.faceLandmarks, frameRef.current)
+        : null;
+
+      const headPose = facePoints ? solveHeadPose(facePoints) : null;
+
+      // Real-world measurements and face shape, averaged over recent frontal frames and reported
+      // periodically (the face shape only when it changes)
+      if (facePoints) {
+        measurementTrackerRef.current.addFrame(facePoints, headPose);
+        faceShapeTrackerRef.current.addFrame(facePoints, headPose, timestamp);
+      }
+      if (Math.abs(timestamp - measurementsReportedAtRef.current) > MEASUREMENT_INTERVAL) {
+        measurementsReportedAtRef.current = timestamp;
+        const measurements = measurementTrackerRef.current.current();
+        if (measurements && onMeasurementsRef.current) onMeasurementsRef.current(measurements);
+        const faceShape = faceShapeTrackerRef.current.current();
+        if (faceShape && faceShape.shape !== faceShapeRef.current && onFaceShapeRef.current) {
+          faceShapeRef.current = faceShape.shape;
+          onFaceShapeRef.current(faceShape);
+        }
+      }
+
+      const worn = Object.values(slotsRef.current);
+
+      // update occluder, extended over the top of the head while headwear is worn
+      if (facePoints) {
+        let headCap = null;
+        if (slotsRef.current[ACCESSORY_SLOTS.HEAD] && headPose) {
+          const up = headUpVector(headPose);
+          headCap = { up, height: measureHeadWidth(facePoints, up) * 0.5 };
+        }
+        updateFaceOccluderFromFaceLandmarks(facePoints, headCap);
+      }
+
+      // Hand-anchored accessories use whichever hand they are worn on
+      const handEntry = slotsRef.current[ACCESSORY_SLOTS.HANDS];
+      const hand = handEntry ? pickHandLandmarks(results, handEntry.accessory.hand) : null;
+      const handPoints = hand ? convertPoseLandmarksToPixelPoints(hand.landmarks, frameRef.current) : null;
+      updateHandOccluder(handPoints);
+
+      const confidence = computeTrackingConfidence(results);
+      const compareEntry = activeCompareEntry(compareEntryRef.current, slotsRef.current);
+      const byState = {};
+      const debug = [];
+      worn.forEach((entry) => {
+        const inputs = { results, facePoints, headPose, hand, handPoints };
+        let alignment = computeAlignment(entry, inputs);
+        const detected = !!alignment?.visible;
+        const entryConfidence = confidenceFor(entry.accessory.type, confidence, hand);
+        const state = entry.tracking.update(detected, entryConfidence, timestamp);
+        // The compared accessory follows this one's tracking state
+        const compared = compareEntry && slotsRef.current[compareEntry.slot] === entry ? compareEntry : null;
+
+        // Smooth the raw strategy output while detected; occluded accessories hold their last
+        // pose, and smoothing starts over once tracking is lost
+        if (detected && state !== TRACKING_STATES.LOST) {
+          alignment = entry.filter.apply(alignment, timestamp);
+          const info = updateAccessoryAlignment(entry, alignment, poseDuration);
+          if (info) debug.push(`${info} Conf:${entryConfidence.toFixed(2)}`);
+          if (compared) {
+            updateAccessoryAlignment(compared, compareAlignment(compared, entry, alignment, inputs, timestamp), poseDuration);
+          }
+        } else if (state === TRACKING_STATES.LOST) {
+          entry.filter.reset();
+          if (compared) compared.filter.reset();
+        }
+
+        (byState[state] = byState[state] || []).push(entry.accessory.name);
+      });
+
+      // Statuses follow the state machines, which only change state after the acquire or hold
+      // time, so the status line doesn't flicker on single dropped frames
+      const statuses = [
+        byState[TRACKING_STATES.TRACKING] && `✅ Tracking - ${byState[TRACKING_STATES.TRACKING].join(", ")} aligned`,
+        byState[TRACKING_STATES.OCCLUDED] && `⏸️ Occluded - holding ${byState[TRACKING_STATES.OCCLUDED].join(", ")}`,
+        byState[TRACKING_STATES.ACQUIRING] && `🔍 Acquiring ${byState[TRACKING_STATES.ACQUIRING].join(", ")}`,
+      ].filter(Boolean);
+      if (statuses.length > 0) {
+        setStatusRef.current(statuses.join(" · "));
+      } else if (worn.length > 0) {
+        setStatusRef.current("👋 No face/pose detected or accessory not visible");
+      }
+      setDebugInfoRef.current(debug.join(" | "));
     }
 
     async function initHolistic() {
       try {
-        setStatus("Loading MediaPipe Holistic...");
-        const holistic = new Holistic({
-          locateFile: (file) => {
-            // default CDN path (you can adjust if you host assets locally)
-            return `https://cdn.jsdelivr.net/npm/@mediapipe/holistic/${file}`;
+        setStatusRef.current("Loading MediaPipe Holistic...");
+        // WASM runtime and models are served by the app itself (copied by the build, see vite.config.js)
+        trackerOptionsRef.current = trackingOptions(qualityRef.current, outfitRef.current);
+        const tracker = createTrackingWorker({
+          options: {
+            ...trackerOptionsRef.current,
+            smoothLandmarks: true,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5,
           },
         });
-
-        holistic.setOptions({
-          modelComplexity: 1,
-          smoothLandmarks: true,
-          refineFaceLandmarks: true,
-          minDetectionConfidence: 0.5,
-          minTrackingConfidence: 0.5,
-        });
-
-        holistic.onResults(onHolisticResults);
-        holisticRef.current = holistic;
-        setIsModelLoaded(true);
-        setStatus("Holistic ready");
+        trackerRef.current = tracker;
+        await tracker.ready;
+        if (!running) return;
+        setIsHolisticReady(true);
+        setIsModelLoadedRef.current(true);
+        setStatusRef.current("Holistic ready");
       } catch (err) {
+        if (!running) return; // closed by the cleanup while loading
+        trackerRef.current?.close();
+        trackerRef.current = null;
         console.error("Holistic init error:", err);
-        setStatus("Holistic initialization failed");
-        setIsModelLoaded(false);
+        setStatusRef.current("Holistic initialization failed");
+        setIsModelLoadedRef.current(false);
       }
     }
 
-    // Start camera feed using MediaPipe Camera util which will call holistic.send({image: video})
-    async function startCameraSendingToHolistic() {
-      if (!videoRef.current) return;
+    // Send video frames to the tracking worker. Only one frame is in flight at a time; video
+    // frames shown meanwhile are skipped. The loop reads whatever stream the video element
+    // currently plays, so camera switches (see startCamera) need no restart here.
+    function startSendingFrames() {
+      const sendLoop = async () => {
+        if (!running) return;
+        const idle = !isReplayingRef.current && !photoRef.current && !isProcessingVideoRef.current;
+        if (trackerRef.current && idle && videoRef.current && videoRef.current.readyState >= 2) {
+          const timestamp = performance.now();
+          pendingSendRef.current = trackerRef.current.send(videoRef.current);
+          try {
+            const results = await pendingSendRef.current;
+            const now = performance.now();
+            performanceMonitor.inference(now, now - timestamp);
+            onHolisticResults(results, { timestamp });
+          } catch (err) {
+            if (running) console.warn("Tracking frame failed:", err);
+          }
+        }
+        requestAnimationFrame(sendLoop);
+      };
+      sendLoop();
+    }
 
-      try {
-        cameraUtilRef.current = new Camera(videoRef.current, {
-          onFrame: async () => {
-            if (holisticRef.current) {
-              await holisticRef.current.send({ image: videoRef.current });
-            }
-          },
-          width: VIDEO_WIDTH,
-          height: VIDEO_HEIGHT,
+    // Antialiasing is fixed when a WebGL context is created, so changing it takes a new renderer;
+    // it uploads the scene's geometries and textures again on its first render
+    function replaceRenderer(antialias) {
+      const previous = rendererRef.current;
+      if (!previous) return;
+      const renderer = createRenderer({ antialias });
+      previous.domElement.replaceWith(renderer.domElement);
+      rendererRef.current = renderer;
+      if (assetManagerRef.current) assetManagerRef.current.setRenderer(renderer);
+      previous.dispose();
+      previous.forceContextLoss();
+      updateLayout();
+    }
+
+    // Steps the renderer and Holistic to a quality level; the statistics start over so the next
+    // decision is based on the new level only
+    function applyQuality(level, index) {
+      const previous = qualityRef.current;
+      qualityRef.current = level;
+      updateTrackingOptions();
+      if (previous.antialias !== level.antialias) replaceRenderer(level.antialias);
+      else updateLayout();
+      performanceMonitor.reset();
+      setQualityIndex(index);
+    }
+
+    // Feeds the quality controller and the HUD. Quality holds while a video file is processed;
+    // its frames are rendered offline at full resolution.
+    function updatePerformance(now) {
+      if (now - performanceUpdatedAt < PERFORMANCE_UPDATE_INTERVAL) return;
+      performanceUpdatedAt = now;
+      const stats = performanceMonitor.stats(now);
+      if (!isProcessingVideoRef.current) qualityController.update(stats, now);
+      if (showPerformanceRef.current && rendererRef.current) {
+        const { memory, render, programs } = rendererRef.current.info;
+        setPerformanceStats({
+          ...stats,
+          geometries: memory.geometries,
+          textures: memory.textures,
+          programs: programs?.length ?? 0,
+          drawCalls: render.calls,
+          triangles: render.triangles,
         });
-        cameraUtilRef.current.start();
-      } catch (err) {
-        console.warn("Camera util failed; falling back to manual capture:", err);
-        // fallback: use a requestAnimationFrame loop to send frames
-        const fallbackLoop = async () => {
-          if (!running) return;
-          if (holisticRef.current && videoRef.current && videoRef.current.readyState >= 2) {
-            try {
-              await holisticRef.current.send({ image: videoRef.current });
-            } catch (e) {
-              // ignore
-            }
-          }
-          requestAnimationFrame(fallbackLoop);
-        };
-        fallbackLoop();
       }
     }
 
-    // Simple render loop to continuously render Three scene for smoother visuals
+    // The only place live frames are drawn: accessories advance towards their latest tracked
+    // pose (see advancePose) and fade by the frame time, then the scene is rendered. Video file
+    // frames step their fades on the file's own timeline instead.
     function renderLoop() {
       if (!running) return;
       if (rendererRef.current && sceneRef.current && cameraRef.current) {
-        rendererRef.current.render(sceneRef.current, cameraRef.current);
+        const now = performance.now();
+        if (!isProcessingVideoRef.current) fadeAccessories(renderedAt === null ? 0 : now - renderedAt);
+        renderedAt = now;
+        [...Object.values(slotsRef.current), activeCompareEntry(compareEntryRef.current, slotsRef.current)]
+          .filter(Boolean)
+          .forEach((entry) => entry.objects.forEach((object) => advancePose(object, now)));
+        renderScene();
+        performanceMonitor.frame(now);
+        updatePerformance(now);
+        // Composite for the clip recorder right after rendering, while the drawing buffer is valid
+        if (clipRecorderRef.current) {
+          clipRecorderRef.current.drawFrame({
+            background: photoRef.current || videoRef.current,
+            overlay: rendererRef.current.domElement,
+            mirrored: mirroredRef.current,
+          });
+        }
       }
       animationRef.current = requestAnimationFrame(renderLoop);
     }
 
     async function initAll() {
       try {
-        await initCameraElement();
         await initThreeJS();
+
+        // Re-layout when the viewer is resized or the camera's negotiated size becomes known
+        resizeObserver = new ResizeObserver(() => updateLayout());
+        if (containerRef.current) resizeObserver.observe(containerRef.current);
+        video?.addEventListener("loadedmetadata", updateLayout);
+        video?.addEventListener("resize", updateLayout);
+
         createFaceOccluder();
+        createHandOccluder();
+        resultsHandlerRef.current = onHolisticResults;
+        renderLoop();
+
+        const hasCamera = await startCamera();
         await initHolistic();
-        await startCameraSendingToHolistic();
+        startSendingFrames();
+        if (!hasCamera) {
+          // No camera: photos and recorded sessions can still be tried on through the scene
+          setStatusRef.current("📷 Camera unavailable - upload a photo or load a recorded session");
+          return;
+        }
 
         // Ensure video plays
         if (videoRef.current && videoRef.current.readyState < 4) {
           await videoRef.current.play().catch(() => {});
         }
 
-        renderLoop();
-
         console.log("Initialization complete");
       } catch (err) {
         console.error("Initialization error:", err);
-        setStatus("Initialization failed");
+        setStatusRef.current("Initialization failed");
       }
     }
 
@@ -795,67 +2091,246 @@ export default function FaceMeshViewer({ accessory, setDebugInfo, setIsAccessory
 
     return () => {
       running = false;
+      resultsHandlerRef.current = null;
+      if (resizeObserver) resizeObserver.disconnect();
+      video?.removeEventListener("loadedmetadata", updateLayout);
+      video?.removeEventListener("resize", updateLayout);
       if (animationRef.current) cancelAnimationFrame(animationRef.current);
-      if (cameraUtilRef.current && cameraUtilRef.current.stop) {
-        try {
-          cameraUtilRef.current.stop();
-        } catch (e) {}
-      }
-      if (videoRef.current?.srcObject) {
-        try {
-          videoRef.current.srcObject.getTracks().forEach((t) => t.stop());
-        } catch (e) {}
-      }
-      if (holisticRef.current) {
-        try {
-          holisticRef.current.close();
-        } catch (e) {}
-      }
+      stopStream(streamRef.current);
+      streamRef.current = null;
+      if (trackerRef.current) trackerRef.current.close();
+      cleanupAccessories();
+      if (assetManagerRef.current) assetManagerRef.current.dispose();
       if (rendererRef.current) rendererRef.current.dispose();
       if (faceOccluderRef.current?.geometry) faceOccluderRef.current.geometry.dispose();
       if (faceOccluderRef.current?.material) faceOccluderRef.current.material.dispose();
-      cleanupAccessories();
+      if (handOccluderRef.current) {
+        const [cylinder] = handOccluderRef.current.children;
+        cylinder.geometry.dispose();
+        cylinder.material.dispose();
+      }
     };
   }, []);
 
   return (
     <div
+      ref={containerRef}
       style={{
         position: "relative",
-        width: VIDEO_WIDTH,
-        height: VIDEO_HEIGHT,
+        width,
+        height,
         backgroundColor: "#000",
         borderRadius: "16px",
         overflow: "hidden",
-        boxShadow: "0 10px 40px rgba(0,0,0,0.5)",
+        boxShadow: adjustSlot ? "0 0 0 3px #667eea, 0 10px 40px rgba(0,0,0,0.5)" : "0 10px 40px rgba(0,0,0,0.5)",
+        cursor: adjustSlot ? "move" : "default",
+        touchAction: adjustSlot ? "none" : "auto",
       }}
     >
       <video
         ref={videoRef}
-        width={VIDEO_WIDTH}
-        height={VIDEO_HEIGHT}
         style={{
           position: "absolute",
           top: 0,
           left: 0,
+          width: "100%",
+          height: "100%",
           zIndex: 0,
-          transform: "scaleX(1)",
+          // Selfie view: the video and the scene above it flip together, so landmarks still map
+          // to world positions in camera coordinates
+          transform: isMirrored ? "scaleX(-1)" : "none",
           objectFit: "cover",
+          visibility: photo || videoFile ? "hidden" : "visible",
         }}
         autoPlay
         muted
         playsInline
       />
+      {videoFile && (
+        <video
+          ref={fileVideoRef}
+          muted
+          playsInline
+          style={{
+            position: "absolute",
+            top: 0,
+            left: 0,
+            width: "100%",
+            height: "100%",
+            zIndex: 0,
+            objectFit: "cover",
+          }}
+        />
+      )}
+      {photo && (
+        <img
+          src={photo.src}
+          alt="Uploaded photo"
+          style={{
+            position: "absolute",
+            top: 0,
+            left: 0,
+            width: "100%",
+            height: "100%",
+            zIndex: 0,
+            objectFit: "cover",
+          }}
+        />
+      )}
       <div
         ref={threeContainerRef}
         style={{
           position: "absolute",
           top: 0,
           left: 0,
+          width: "100%",
+          height: "100%",
           zIndex: 1,
           pointerEvents: "none",
+          // Mirrored with the video so the overlays stay on the landmarks they were placed from
+          transform: isMirrored ? "scaleX(-1)" : "none",
         }}
       />
+      {/* Performance HUD */}
+      {showPerformance && (
+        <div style={styles.performanceHud}>
+          {performanceStats ? (
+            <>
+              <div>
+                Render {formatStat(performanceStats.fps)} FPS · {formatStat(performanceStats.frameTime, 1)} ms
+              </div>
+              <div>
+                Tracking {formatStat(performanceStats.trackingFps)} FPS ·{" "}
+                {formatStat(performanceStats.inferenceLatency)} ms latency
+              </div>
+              <div>
+                Dropped {performanceStats.droppedFrames}/s · {performanceStats.droppedTotal} total
+              </div>
+              <div>
+                GPU {performanceStats.geometries} geometries · {performanceStats.textures} textures ·{" "}
+                {performanceStats.programs} programs
+              </div>
+              <div>
+                {performanceStats.drawCalls} draw calls · {performanceStats.triangles} triangles
+              </div>
+            </>
+          ) : (
+            <div>Measuring...</div>
+          )}
+          <div>
+            Quality {QUALITY_LEVELS[qualityIndex].name} ({qualityIndex + 1}/{QUALITY_LEVELS.length})
+          </div>
+        </div>
+      )}
+      {/* A/B compare divider: the slot's accessory on the left, the compared one on the right */}
+      {compare && outfit[compare.slot] && (
+        <>
+          <div style={{ ...styles.compareLabel, right: `calc(${(1 - divider) * 100}% + 16px)` }}>
+            A · {outfit[compare.slot].name.trim()}
+          </div>
+          <div style={{ ...styles.compareLabel, left: `calc(${divider * 100}% + 16px)` }}>
+            B · {compare.accessory.name.trim()}
+          </div>
+          <div
+            style={{ ...styles.divider, left: `${divider * 100}%` }}
+            onPointerDown={onDividerPointerDown}
+            onPointerMove={onDividerPointerMove}
+            title="Drag to compare"
+          >
+            <div style={styles.dividerHandle}>⇔</div>
+          </div>
+        </>
+      )}
+      {/* Clip recording controls; pointer events stop here so they don't start a fit drag */}
+      {!videoFile && (
+        <div style={styles.recordControls} onPointerDown={(event) => event.stopPropagation()}>
+          <button
+            onClick={() => setRecordAudio((value) => !value)}
+            disabled={isClipRecording}
+            style={styles.recordButton(false)}
+            title={recordAudio ? "Record with microphone audio" : "Record without audio"}
+          >
+            {recordAudio ? "🎤" : "🔇"}
+          </button>
+          <button
+            onClick={() => setIsClipRecording((value) => !value)}
+            style={styles.recordButton(isClipRecording)}
+            title={isClipRecording ? "Stop and download the clip" : "Record a video clip"}
+          >
+            {isClipRecording ? "⏹️ Stop" : "⏺️ Rec"}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
+
+const styles = {
+  performanceHud: {
+    position: "absolute",
+    top: 12,
+    right: 12,
+    zIndex: 2,
+    padding: "8px 10px",
+    borderRadius: "10px",
+    fontFamily: "monospace",
+    fontSize: "11px",
+    lineHeight: 1.5,
+    color: "white",
+    backgroundColor: "rgba(0,0,0,0.6)",
+    pointerEvents: "none",
+  },
+  divider: {
+    position: "absolute",
+    top: 0,
+    bottom: 0,
+    width: 24,
+    marginLeft: -12,
+    zIndex: 2,
+    cursor: "ew-resize",
+    touchAction: "none",
+    background: "linear-gradient(to right, transparent 11px, white 11px, white 13px, transparent 13px)",
+  },
+  dividerHandle: {
+    position: "absolute",
+    top: "50%",
+    left: "50%",
+    transform: "translate(-50%, -50%)",
+    padding: "6px 8px",
+    borderRadius: "16px",
+    fontSize: "14px",
+    color: "#333",
+    backgroundColor: "white",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.4)",
+    userSelect: "none",
+  },
+  compareLabel: {
+    position: "absolute",
+    bottom: 60,
+    whiteSpace: "nowrap",
+    zIndex: 2,
+    padding: "4px 10px",
+    borderRadius: "12px",
+    fontSize: "12px",
+    color: "white",
+    backgroundColor: "rgba(0,0,0,0.55)",
+    pointerEvents: "none",
+  },
+  recordControls: {
+    position: "absolute",
+    right: 12,
+    bottom: 12,
+    zIndex: 2,
+    display: "flex",
+    gap: "8px",
+  },
+  recordButton: (isActive) => ({
+    padding: "8px 12px",
+    fontSize: "13px",
+    cursor: "pointer",
+    border: "none",
+    borderRadius: "16px",
+    color: "white",
+    backgroundColor: isActive ? "rgba(229,57,53,0.9)" : "rgba(0,0,0,0.55)",
+  }),
+};
@@ -0,0 +1,148 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createContactSheet, deleteLook, describeLook, exportLookbookZip, listLooks } from "./lookbook";
+import { downloadBlob } from "./snapshot";
+
+// Gallery of saved looks; `refreshKey` changes whenever a new look has been saved
+export default function Lookbook({ refreshKey, onTakePhoto }) {
+  const [looks, setLooks] = useState([]);
+  const [status, setStatus] = useState("");
+  // Thumbnails are object URLs, released when their look is replaced, deleted or unmounted
+  const looksRef = useRef([]);
+
+  const replaceLooks = (next) => {
+    const keep = new Set(next.map((look) => look.url));
+    looksRef.current.forEach((look) => !keep.has(look.url) && URL.revokeObjectURL(look.url));
+    looksRef.current = next;
+    setLooks(next);
+  };
+
+  useEffect(() => () => looksRef.current.forEach((look) => URL.revokeObjectURL(look.url)), []);
+
+  useEffect(() => {
+    let cancelled = false;
+    listLooks()
+      .then((saved) => {
+        if (cancelled) return;
+        replaceLooks(saved.map((look) => ({ ...look, url: URL.createObjectURL(look.image) })));
+      })
+      .catch((err) => {
+        console.error("Failed to load lookbook:", err);
+        setStatus("Lookbook unavailable");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const removeLook = async (id) => {
+    try {
+      await deleteLook(id);
+      replaceLooks(looksRef.current.filter((look) => look.id !== id));
+    } catch (err) {
+      console.error("Failed to delete look:", err);
+      setStatus("Failed to delete look");
+    }
+  };
+
+  const exportLooks = async (kind) => {
+    setStatus(kind === "zip" ? "Packing zip..." : "Drawing contact sheet...");
+    try {
+      if (kind === "zip") {
+        downloadBlob(await exportLookbookZip(looks), "lookbook.zip");
+      } else {
+        downloadBlob(await createContactSheet(looks), "lookbook-contact-sheet.png");
+      }
+      setStatus("");
+    } catch (err) {
+      console.error("Lookbook export failed:", err);
+      setStatus("Export failed");
+    }
+  };
+
+  return (
+    <div>
+      <div style={styles.buttons}>
+        <button onClick={onTakePhoto} style={styles.button}>
+          📸 Take photo
+        </button>
+        <button onClick={() => exportLooks("zip")} disabled={looks.length === 0} style={styles.button}>
+          ⬇️ Zip
+        </button>
+        <button onClick={() => exportLooks("sheet")} disabled={looks.length === 0} style={styles.button}>
+          🗂️ Contact sheet
+        </button>
+      </div>
+      {status && <p style={styles.status}>{status}</p>}
+      <div style={styles.grid}>
+        {looks.map((look) => (
+          <figure key={look.id} style={styles.tile}>
+            <img src={look.url} alt={describeLook(look)} style={styles.image} />
+            <figcaption style={styles.caption}>{describeLook(look)}</figcaption>
+            <button onClick={() => removeLook(look.id)} style={styles.deleteButton} title="Delete look">
+              ✕
+            </button>
+          </figure>
+        ))}
+      </div>
+      {looks.length === 0 && <p style={styles.status}>Take photos to compare looks side by side</p>}
+    </div>
+  );
+}
+
+const styles = {
+  buttons: {
+    display: "flex",
+    gap: "8px",
+    flexWrap: "wrap",
+  },
+  button: {
+    flex: "1",
+    padding: "10px 12px",
+    fontSize: "13px",
+    cursor: "pointer",
+    backgroundColor: "#f5f5f5",
+    color: "#333",
+    border: "none",
+    borderRadius: "10px",
+  },
+  status: {
+    margin: "8px 0 0 0",
+    fontSize: "12px",
+    color: "#666",
+  },
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr 1fr",
+    gap: "8px",
+    marginTop: "10px",
+    maxHeight: "220px",
+    overflowY: "auto",
+  },
+  tile: {
+    position: "relative",
+    margin: 0,
+  },
+  image: {
+    width: "100%",
+    borderRadius: "6px",
+    display: "block",
+  },
+  caption: {
+    fontSize: "10px",
+    color: "#555",
+    marginTop: "2px",
+    wordBreak: "break-word",
+  },
+  deleteButton: {
+    position: "absolute",
+    top: 2,
+    right: 2,
+    padding: "0 5px",
+    fontSize: "11px",
+    cursor: "pointer",
+    border: "none",
+    borderRadius: "8px",
+    color: "white",
+    backgroundColor: "rgba(0,0,0,0.55)",
+  },
+};
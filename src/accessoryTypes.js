@@ -0,0 +1,43 @@
+// accessoryTypes.js
+// Accessory types shared by the catalog (App) and the viewer, and the outfit slot each type
+// occupies. An outfit holds at most one accessory per slot.
+
+export const ACCESSORY_TYPES = {
+  GLASSES: "glasses",
+  EARRINGS: "earrings",
+  NECKLACE: "necklace",
+  T_SHIRT: "t-shirt",
+  RING: "ring",
+  BRACELET: "bracelet",
+  WATCH: "watch",
+  HEADWEAR: "headwear",
+};
+
+export const ACCESSORY_SLOTS = {
+  HEAD: "head",
+  EYES: "eyes",
+  EARS: "ears",
+  NECK: "neck",
+  TORSO: "torso",
+  HANDS: "hands",
+};
+
+export const SLOT_BY_TYPE = {
+  [ACCESSORY_TYPES.GLASSES]: ACCESSORY_SLOTS.EYES,
+  [ACCESSORY_TYPES.EARRINGS]: ACCESSORY_SLOTS.EARS,
+  [ACCESSORY_TYPES.NECKLACE]: ACCESSORY_SLOTS.NECK,
+  [ACCESSORY_TYPES.T_SHIRT]: ACCESSORY_SLOTS.TORSO,
+  [ACCESSORY_TYPES.HEADWEAR]: ACCESSORY_SLOTS.HEAD,
+  [ACCESSORY_TYPES.RING]: ACCESSORY_SLOTS.HANDS,
+  [ACCESSORY_TYPES.BRACELET]: ACCESSORY_SLOTS.HANDS,
+  [ACCESSORY_TYPES.WATCH]: ACCESSORY_SLOTS.HANDS,
+};
+
+/**
+ * Returns the outfit slot an accessory is worn in.
+ * @param {{ type: string }} accessory
+ * @returns {string|undefined}
+ */
+export function getAccessorySlot(accessory) {
+  return SLOT_BY_TYPE[accessory?.type];
+}
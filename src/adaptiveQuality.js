@@ -0,0 +1,78 @@
+// adaptiveQuality.js
+// Adaptive quality: while frames or tracking take longer than their budget, quality steps down
+// one level at a time (lighter Holistic model, no face refinement for body-only outfits, lower
+// render resolution, no antialiasing); once there is headroom again it steps back up. A step up
+// that doesn't hold makes the controller wait longer before trying again, so it settles instead
+// of oscillating between two levels.
+
+/**
+ * Quality levels from best to cheapest. `faceRefinement` "always" keeps refined face landmarks
+ * (iris, lips) on; "face-accessories" turns them off while only body accessories are worn.
+ * `pixelRatio` is the renderer's pixel ratio (device pixels per CSS pixel). Only the lite (0) and
+ * full (1) pose models are shipped (see vite.config.js), so `modelComplexity` stays below 2.
+ */
+export const QUALITY_LEVELS = [
+  { name: "High", modelComplexity: 1, faceRefinement: "always", pixelRatio: 1, antialias: true },
+  { name: "Light model", modelComplexity: 0, faceRefinement: "always", pixelRatio: 1, antialias: true },
+  { name: "Light tracking", modelComplexity: 0, faceRefinement: "face-accessories", pixelRatio: 1, antialias: true },
+  { name: "Low resolution", modelComplexity: 0, faceRefinement: "face-accessories", pixelRatio: 0.75, antialias: true },
+  { name: "Lowest", modelComplexity: 0, faceRefinement: "face-accessories", pixelRatio: 0.5, antialias: false },
+];
+
+// Frame time (25 FPS) and tracking latency (ms) the controller keeps within
+export const DEFAULT_QUALITY_BUDGET = { frameTime: 40, inferenceLatency: 100 };
+
+// Below this fraction of the budget there is headroom to step up
+const HEADROOM = 0.7;
+// How long (ms) the budget must be exceeded, or headroom last, before a step
+const STEP_DOWN_HOLD = 2000;
+const STEP_UP_HOLD = 5000;
+const MAX_STEP_UP_HOLD = 60000;
+// Measurements right after a change still reflect the old level (and Holistic reloading its model)
+const SETTLE_TIME = 3000;
+
+/**
+ * Creates a quality controller, starting at the best level.
+ * @param {{ budget?: { frameTime: number, inferenceLatency: number }, onChange: (level: object, index: number) => void }} options
+ * @returns {{ update: (stats: object, now: number) => void }} Feed `update` the performance
+ *   monitor's stats (see performanceMonitor.js) regularly; `onChange` is called with the new level
+ *   from QUALITY_LEVELS whenever it steps.
+ */
+export function createQualityController({ budget = DEFAULT_QUALITY_BUDGET, onChange }) {
+  let level = 0;
+  let changedAt = -Infinity;
+  let overSince = null;
+  let headroomSince = null;
+  let stepUpHold = STEP_UP_HOLD;
+  let steppedUpAt = -Infinity;
+
+  function setLevel(index, now) {
+    level = index;
+    changedAt = now;
+    overSince = null;
+    headroomSince = null;
+    onChange(QUALITY_LEVELS[level], level);
+  }
+
+  return {
+    update({ frameTime, inferenceLatency }, now) {
+      if (frameTime === null || now - changedAt < SETTLE_TIME) return;
+      // No tracking (photos, replays) leaves only the render side to judge
+      const latency = inferenceLatency ?? 0;
+      const over = frameTime > budget.frameTime || latency > budget.inferenceLatency;
+      const headroom = frameTime < budget.frameTime * HEADROOM && latency < budget.inferenceLatency * HEADROOM;
+      overSince = over ? (overSince ?? now) : null;
+      headroomSince = headroom ? (headroomSince ?? now) : null;
+
+      if (over && now - overSince >= STEP_DOWN_HOLD && level < QUALITY_LEVELS.length - 1) {
+        if (now - steppedUpAt < SETTLE_TIME + STEP_DOWN_HOLD * 2) {
+          stepUpHold = Math.min(stepUpHold * 2, MAX_STEP_UP_HOLD);
+        }
+        setLevel(level + 1, now);
+      } else if (headroom && now - headroomSince >= stepUpHold && level > 0) {
+        steppedUpAt = now;
+        setLevel(level - 1, now);
+      }
+    },
+  };
+}
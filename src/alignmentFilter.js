@@ -0,0 +1,148 @@
+// alignmentFilter.js
+// Temporal filtering for accessory alignments. Every rendered accessory owns one
+// filter that smooths position, scale and rotation between Holistic frames, using
+// either a One Euro filter (adaptive, low lag on fast motion) or plain exponential smoothing.
+
+// Default parameters per alignment property. Cutoffs are in Hz, `beta` is the speed coefficient.
+export const DEFAULT_FILTER_PARAMS = {
+  position: { type: "oneEuro", minCutoff: 1.0, beta: 20.0, dCutoff: 1.0 },
+  scale: { type: "oneEuro", minCutoff: 0.5, beta: 1.0, dCutoff: 1.0 },
+  rotation: { type: "oneEuro", minCutoff: 1.0, beta: 0.5, dCutoff: 1.0 },
+};
+
+/**
+ * Returns the signed shortest difference from angle a to angle b, in (-PI, PI].
+ * @param {number} a The start angle in radians.
+ * @param {number} b The end angle in radians.
+ * @returns {number}
+ */
+function shortestAngleDelta(a, b) {
+  const twoPi = Math.PI * 2;
+  return ((((b - a) % twoPi) + twoPi + Math.PI) % twoPi) - Math.PI;
+}
+
+/**
+ * Smoothing factor of a first order low-pass filter for the given cutoff.
+ * @param {number} cutoff Cutoff frequency in Hz.
+ * @param {number} dt Time since the last sample in seconds.
+ * @returns {number}
+ */
+function smoothingFactor(cutoff, dt) {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+}
+
+function createOneEuroFilter({ minCutoff = 1.0, beta = 0, dCutoff = 1.0 }, angular) {
+  let prevValue = null;
+  let prevDerivative = 0;
+  let prevTime = 0;
+
+  return {
+    filter(value, time) {
+      if (prevValue === null) {
+        prevValue = value;
+        prevTime = time;
+        return value;
+      }
+
+      const dt = Math.max((time - prevTime) / 1000, 1e-3);
+      const delta = angular ? shortestAngleDelta(prevValue, value) : value - prevValue;
+
+      prevDerivative += smoothingFactor(dCutoff, dt) * (delta / dt - prevDerivative);
+      const cutoff = minCutoff + beta * Math.abs(prevDerivative);
+
+      prevValue += smoothingFactor(cutoff, dt) * delta;
+      prevTime = time;
+      return prevValue;
+    },
+    reset() {
+      prevValue = null;
+      prevDerivative = 0;
+    },
+  };
+}
+
+function createExponentialFilter({ alpha = 0.5 }, angular) {
+  let prevValue = null;
+
+  return {
+    filter(value) {
+      if (prevValue === null) {
+        prevValue = value;
+        return value;
+      }
+      const delta = angular ? shortestAngleDelta(prevValue, value) : value - prevValue;
+      prevValue += alpha * delta;
+      return prevValue;
+    },
+    reset() {
+      prevValue = null;
+    },
+  };
+}
+
+function createChannelFilter(params, angular) {
+  switch (params?.type) {
+    case "oneEuro":
+      return createOneEuroFilter(params, angular);
+    case "exponential":
+      return createExponentialFilter(params, angular);
+    default:
+      return { filter: (value) => value, reset() {} };
+  }
+}
+
+/**
+ * Creates a filter for one accessory instance.
+ * @param {{ position?: object, scale?: object, rotation?: object }} [params]
+ *   Per-property overrides of DEFAULT_FILTER_PARAMS. Each entry is
+ *   `{ type: "oneEuro", minCutoff, beta, dCutoff }`, `{ type: "exponential", alpha }`
+ *   or `{ type: "none" }`.
+ * @returns {{ apply: (alignment: object, timestamp: number) => object, reset: () => void }}
+ */
+export function createAlignmentFilter(params = {}) {
+  const config = { ...DEFAULT_FILTER_PARAMS, ...params };
+  const channels = new Map();
+
+  function filterValue(key, property, value, timestamp, angular = false) {
+    if (!channels.has(key)) channels.set(key, createChannelFilter(config[property], angular));
+    return channels.get(key).filter(value, timestamp);
+  }
+
+  function filterVector(key, vector, timestamp) {
+    return {
+      x: filterValue(`${key}.x`, "position", vector.x, timestamp),
+      y: filterValue(`${key}.y`, "position", vector.y, timestamp),
+      z: filterValue(`${key}.z`, "position", vector.z, timestamp),
+    };
+  }
+
+  return {
+    apply(alignment, timestamp) {
+      if (!alignment || !alignment.visible) return alignment;
+
+      const filtered = { ...alignment };
+      if (alignment.position) {
+        filtered.position = filterVector("position", alignment.position, timestamp);
+      }
+      if (alignment.positions) {
+        filtered.positions = alignment.positions.map((pos, i) => filterVector(`positions.${i}`, pos, timestamp));
+      }
+      if (alignment.rotation) {
+        const { pitch, yaw, roll } = alignment.rotation;
+        filtered.rotation = {
+          pitch: filterValue("rotation.pitch", "rotation", pitch, timestamp, true),
+          yaw: filterValue("rotation.yaw", "rotation", yaw, timestamp, true),
+          roll: filterValue("rotation.roll", "rotation", roll, timestamp, true),
+        };
+      }
+      if (typeof alignment.scale === "number") {
+        filtered.scale = filterValue("scale", "scale", alignment.scale, timestamp);
+      }
+      return filtered;
+    },
+    reset() {
+      channels.forEach((channel) => channel.reset());
+    },
+  };
+}
@@ -0,0 +1,207 @@
+// assetManager.js
+// Loads accessory models and shares them between everything that shows them. Model bytes are
+// cached in memory and kept across reloads and offline by exactly one persistent cache: the
+// service worker's (public/sw.js) once it controls the page, else the page's own (modelCache.js:
+// dev server, first visit, no service worker support). Both revalidate, so a model replaced at
+// the same URL is picked up. Parsed models are reference counted, each user gets its own clone
+// sharing geometries, materials and textures, and the GPU resources are disposed as soon as the
+// last clone is released.
+// Compressed models are supported: Draco and Meshopt geometry, KTX2 (Basis Universal) textures.
+// The Draco and Basis decoders are served by the app itself (copied from three into decoders/
+// by the build, see vite.config.js), so they load on the same connection as the models.
+
+import { fetchModel, openModelCache } from "./modelCache";
+
+// Upper bound for model bytes kept in memory; least recently used models are dropped first
+const MAX_MEMORY_BYTES = 64 * 1024 * 1024;
+
+export const DRACO_DECODER_PATH = `${import.meta.env.BASE_URL}decoders/draco/`;
+export const BASIS_TRANSCODER_PATH = `${import.meta.env.BASE_URL}decoders/basis/`;
+
+// The loaders are only needed once the first model loads, so they stay out of the main bundle.
+// KTX2 transcoding targets the formats the renderer's GPU supports.
+async function createLoaders(renderer) {
+  const [{ GLTFLoader }, { DRACOLoader }, { KTX2Loader }, { MeshoptDecoder }] = await Promise.all([
+    import("three/examples/jsm/loaders/GLTFLoader.js"),
+    import("three/examples/jsm/loaders/DRACOLoader.js"),
+    import("three/examples/jsm/loaders/KTX2Loader.js"),
+    import("three/examples/jsm/libs/meshopt_decoder.module.js"),
+  ]);
+
+  const dracoLoader = new DRACOLoader().setDecoderPath(DRACO_DECODER_PATH);
+  const ktx2Loader = new KTX2Loader().setTranscoderPath(BASIS_TRANSCODER_PATH).detectSupport(renderer);
+  const gltfLoader = new GLTFLoader()
+    .setDRACOLoader(dracoLoader)
+    .setKTX2Loader(ktx2Loader)
+    .setMeshoptDecoder(MeshoptDecoder);
+  return { gltfLoader, dracoLoader, ktx2Loader };
+}
+
+// Reads a response body, reporting progress when the size is known
+async function readBody(response, onProgress) {
+  const total = Number(response.headers.get("content-length")) || 0;
+  if (!onProgress || !response.body) return response.arrayBuffer();
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress({ loaded, total });
+  }
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes.buffer;
+}
+
+/**
+ * Frees everything a loaded model holds on the GPU: geometries, materials and their textures.
+ * @param {THREE.Object3D} root
+ */
+export function disposeObject(root) {
+  root.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (!child.material) return;
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value?.isTexture) value.dispose();
+      });
+      material.dispose();
+    });
+  });
+}
+
+/**
+ * Creates an asset manager.
+ * @param {{ renderer: THREE.WebGLRenderer }} options The renderer the models are shown with.
+ * @returns {{
+ *   acquire: (url: string, options?: { onProgress?: (progress: { loaded: number, total: number }) => void }) => Promise<THREE.Object3D>,
+ *   release: (url: string) => void,
+ *   prefetch: (urls: string[]) => void,
+ *   setRenderer: (renderer: THREE.WebGLRenderer) => void,
+ *   dispose: () => void,
+ * }} `acquire` resolves to a new clone of the model; every acquired clone must be released once
+ *   it is removed from the scene. `prefetch` only downloads, nothing is parsed or uploaded.
+ *   `setRenderer` hands over a renderer that replaced the original one.
+ */
+export function createAssetManager({ renderer: initialRenderer }) {
+  let renderer = initialRenderer;
+  // url -> Promise<ArrayBuffer>, in least recently used order
+  const bytesCache = new Map();
+  const byteSizes = new Map();
+  // url -> { promise: Promise<GLTF>, refs: number }
+  const models = new Map();
+  let loadersPromise = null;
+
+  function getLoader() {
+    if (!loadersPromise) loadersPromise = createLoaders(renderer);
+    return loadersPromise.then((loaders) => loaders.gltfLoader);
+  }
+
+  function trimBytesCache() {
+    let total = [...byteSizes.values()].reduce((sum, size) => sum + size, 0);
+    for (const url of bytesCache.keys()) {
+      if (total <= MAX_MEMORY_BYTES) break;
+      total -= byteSizes.get(url) || 0;
+      bytesCache.delete(url);
+      byteSizes.delete(url);
+    }
+  }
+
+  async function downloadBytes(url, onProgress) {
+    const response = await fetchModel(url, await openModelCache());
+    return readBody(response, onProgress);
+  }
+
+  function getBytes(url, onProgress) {
+    let promise = bytesCache.get(url);
+    if (promise) {
+      // Mark as most recently used
+      bytesCache.delete(url);
+      bytesCache.set(url, promise);
+      return promise;
+    }
+
+    promise = downloadBytes(url, onProgress);
+    bytesCache.set(url, promise);
+    promise.then(
+      (bytes) => {
+        if (bytesCache.get(url) !== promise) return;
+        byteSizes.set(url, bytes.byteLength);
+        trimBytesCache();
+      },
+      () => bytesCache.get(url) === promise && bytesCache.delete(url)
+    );
+    return promise;
+  }
+
+  async function parseModel(url, onProgress) {
+    const [loader, bytes] = await Promise.all([getLoader(), getBytes(url, onProgress)]);
+    // External buffers and textures of .gltf files resolve relative to the model
+    return loader.parseAsync(bytes, url.slice(0, url.lastIndexOf("/") + 1));
+  }
+
+  function release(url) {
+    const model = models.get(url);
+    if (!model) return;
+    model.refs--;
+    if (model.refs > 0) return;
+
+    models.delete(url);
+    model.promise.then((gltf) => disposeObject(gltf.scene)).catch(() => {});
+  }
+
+  return {
+    async acquire(url, { onProgress } = {}) {
+      let model = models.get(url);
+      if (!model) {
+        model = { promise: parseModel(url, onProgress), refs: 0 };
+        models.set(url, model);
+      }
+      model.refs++;
+
+      let gltf;
+      try {
+        gltf = await model.promise;
+      } catch (err) {
+        release(url);
+        throw err;
+      }
+      return gltf.scene.clone();
+    },
+
+    release,
+
+    prefetch(urls) {
+      urls.forEach((url) => getBytes(url).catch(() => {}));
+    },
+
+    setRenderer(next) {
+      renderer = next;
+      if (loadersPromise) loadersPromise.then(({ ktx2Loader }) => ktx2Loader.detectSupport(renderer));
+    },
+
+    dispose() {
+      models.forEach((model) => model.promise.then((gltf) => disposeObject(gltf.scene)).catch(() => {}));
+      models.clear();
+      bytesCache.clear();
+      byteSizes.clear();
+      // Decoder workers
+      if (loadersPromise) {
+        loadersPromise.then(({ dracoLoader, ktx2Loader }) => {
+          dracoLoader.dispose();
+          ktx2Loader.dispose();
+        });
+        loadersPromise = null;
+      }
+    },
+  };
+}
@@ -0,0 +1,51 @@
+// cameraDevices.js
+// Video input discovery and camera streams for the viewer's input-source panel. A source is
+// either a specific device (`deviceId`) or a facing mode ("user" front camera, "environment"
+// back camera) for browsers that pick the device themselves.
+
+// Resolution requested from the camera; the negotiated track may differ, so the viewer reads
+// the actual size back from the video element
+export const PREFERRED_VIDEO_SIZE = { width: 1280, height: 720 };
+
+export const FACING_MODES = {
+  FRONT: "user",
+  BACK: "environment",
+};
+
+/**
+ * Lists the video inputs. Labels are empty until the user has granted camera access once,
+ * so callers should list again after the first stream starts.
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+export async function listVideoInputs() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === "videoinput")
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+}
+
+/**
+ * Opens a camera stream for a source.
+ * @param {{ deviceId?: string|null, facingMode?: string }} [source]
+ * @returns {Promise<MediaStream>}
+ */
+export function openCameraStream({ deviceId = null, facingMode = FACING_MODES.FRONT } = {}) {
+  return navigator.mediaDevices.getUserMedia({
+    video: {
+      ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode }),
+      width: { ideal: PREFERRED_VIDEO_SIZE.width },
+      height: { ideal: PREFERRED_VIDEO_SIZE.height },
+    },
+    audio: false,
+  });
+}
+
+/**
+ * Stops every track of a stream (releasing the camera).
+ * @param {MediaStream|null} stream
+ */
+export function stopStream(stream) {
+  if (!stream) return;
+  stream.getTracks().forEach((track) => track.stop());
+}
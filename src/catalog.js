@@ -0,0 +1,151 @@
+// catalog.js
+// The accessory catalog, loaded from a versioned JSON manifest (public/catalog.json, described
+// by public/catalog.schema.json). Entries are validated against the schema rules at startup and
+// their model files are checked, so broken entries are reported instead of failing at try-on.
+// The validation is plain JS without DOM access, so the catalog tooling can reuse it in Node.
+
+import { ACCESSORY_TYPES } from "./accessoryTypes.js";
+
+export const CATALOG_URL = "/catalog.json";
+export const CATALOG_VERSION = 1;
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MODEL_PATTERN = /\.(glb|gltf)$/;
+const ACCESSORY_FIELDS = ["id", "name", "type", "category", "path", "fit", "tags", "thumbnail", "frameWidth", "hand"];
+const FIT_FIELDS = ["anchorOffset", "scaleMultiplier", "rotationCorrection", "depthPlane"];
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isText = (value) => typeof value === "string" && value.trim().length > 0;
+
+// Problems with an object of numeric components, e.g. { x, y, z }
+function checkComponents(value, keys, label) {
+  if (!isObject(value)) return [`${label} must be an object`];
+  return Object.entries(value)
+    .filter(([key, component]) => !keys.includes(key) || !isNumber(component))
+    .map(([key]) => `${label}.${key} must be one of ${keys.join("/")} with a number value`);
+}
+
+function checkFit(fit) {
+  if (!isObject(fit)) return ["fit must be an object"];
+  const errors = Object.keys(fit)
+    .filter((key) => !FIT_FIELDS.includes(key))
+    .map((key) => `unknown fit field "${key}"`);
+  if (fit.anchorOffset !== undefined) {
+    errors.push(...checkComponents(fit.anchorOffset, ["x", "y", "z"], "fit.anchorOffset"));
+  }
+  if (fit.scaleMultiplier !== undefined && !(isNumber(fit.scaleMultiplier) && fit.scaleMultiplier > 0)) {
+    errors.push("fit.scaleMultiplier must be a positive number");
+  }
+  if (fit.rotationCorrection !== undefined) {
+    errors.push(...checkComponents(fit.rotationCorrection, ["pitch", "yaw", "roll"], "fit.rotationCorrection"));
+  }
+  if (fit.depthPlane !== undefined && fit.depthPlane !== null && !isNumber(fit.depthPlane)) {
+    errors.push("fit.depthPlane must be a number or null");
+  }
+  return errors;
+}
+
+/**
+ * Checks one catalog entry against the schema.
+ * @param {object} entry
+ * @returns {string[]} What is wrong with the entry; empty when it is valid.
+ */
+export function validateCatalogEntry(entry) {
+  if (!isObject(entry)) return ["entry must be an object"];
+
+  const errors = Object.keys(entry)
+    .filter((key) => !ACCESSORY_FIELDS.includes(key))
+    .map((key) => `unknown field "${key}"`);
+  if (typeof entry.id !== "string" || !ID_PATTERN.test(entry.id)) {
+    errors.push("id must be lower-case words joined by dashes");
+  }
+  if (!isText(entry.name)) errors.push("name is required");
+  if (!Object.values(ACCESSORY_TYPES).includes(entry.type)) errors.push(`unknown type "${entry.type}"`);
+  if (!isText(entry.category)) errors.push("category is required");
+  if (typeof entry.path !== "string" || !MODEL_PATTERN.test(entry.path)) {
+    errors.push("path must point to a .glb or .gltf model");
+  }
+  if (entry.fit !== undefined) errors.push(...checkFit(entry.fit));
+  if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every((tag) => typeof tag === "string"))) {
+    errors.push("tags must be a list of strings");
+  }
+  if (entry.thumbnail !== undefined && !isText(entry.thumbnail)) errors.push("thumbnail must be a URL");
+  if (entry.frameWidth !== undefined && !(isNumber(entry.frameWidth) && entry.frameWidth > 0)) {
+    errors.push("frameWidth must be a positive number of millimetres");
+  }
+  if (entry.hand !== undefined && entry.hand !== "left" && entry.hand !== "right") {
+    errors.push('hand must be "left" or "right"');
+  }
+  return errors;
+}
+
+/**
+ * Validates a parsed manifest.
+ * @param {object} manifest
+ * @returns {{ accessories: object[], issues: Array<{ id: string|null, message: string }> }} The
+ *   valid entries, and one issue per problem; entries with problems are left out.
+ */
+export function validateCatalog(manifest) {
+  if (!isObject(manifest) || !Array.isArray(manifest.accessories)) {
+    return { accessories: [], issues: [{ id: null, message: "Catalog has no accessories list" }] };
+  }
+  if (manifest.version !== CATALOG_VERSION) {
+    return {
+      accessories: [],
+      issues: [{ id: null, message: `Unsupported catalog version ${manifest.version} (expected ${CATALOG_VERSION})` }],
+    };
+  }
+
+  const accessories = [];
+  const issues = [];
+  const seenIds = new Set();
+  manifest.accessories.forEach((entry, index) => {
+    const id = typeof entry?.id === "string" ? entry.id : null;
+    const errors = validateCatalogEntry(entry);
+    if (id && seenIds.has(id)) errors.push("duplicate id");
+    if (id) seenIds.add(id);
+
+    if (errors.length > 0) {
+      issues.push({ id, message: `Entry ${index + 1}: ${errors.join("; ")}` });
+    } else {
+      accessories.push(entry);
+    }
+  });
+  return { accessories, issues };
+}
+
+// Whether a model file is served. Dev servers and SPA hosts answer unknown paths with the app's
+// index.html, so an HTML response counts as missing.
+async function modelExists(path) {
+  try {
+    const response = await fetch(path, { method: "HEAD" });
+    return response.ok && !(response.headers.get("content-type") || "").includes("text/html");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Loads, validates and checks the catalog.
+ * @param {string} [url]
+ * @returns {Promise<{ accessories: object[], issues: Array<{ id: string|null, message: string }> }>}
+ *   The entries that can be tried on and everything that was left out.
+ */
+export async function loadCatalog(url = CATALOG_URL) {
+  let manifest;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    manifest = await response.json();
+  } catch (err) {
+    return { accessories: [], issues: [{ id: null, message: `Failed to load catalog: ${err.message}` }] };
+  }
+
+  const { accessories, issues } = validateCatalog(manifest);
+  const available = await Promise.all(accessories.map((accessory) => modelExists(accessory.path)));
+  accessories.forEach((accessory, index) => {
+    if (!available[index]) issues.push({ id: accessory.id, message: `Model file not found: ${accessory.path}` });
+  });
+  return { accessories: accessories.filter((_, index) => available[index]), issues };
+}
@@ -0,0 +1,57 @@
+// clipRecorder.js
+// Records what the viewer shows (camera video plus the WebGL overlay) into a WebM clip. The
+// viewer draws one composite per rendered frame into the recorder's canvas, whose stream goes
+// through MediaRecorder together with the microphone when audio is requested.
+
+import { drawComposite } from "./snapshot";
+import { pickRecordingMimeType } from "./videoProcessor";
+
+/**
+ * Starts a clip recording.
+ * @param {{ width: number, height: number, audio?: boolean, fps?: number }} options Canvas size in
+ *   pixels; `audio` records the microphone as well (the clip is recorded silent if it is unavailable).
+ * @returns {Promise<{
+ *   drawFrame: (sources: { background: HTMLVideoElement|HTMLImageElement, overlay: HTMLCanvasElement, mirrored?: boolean }) => void,
+ *   hasAudio: boolean,
+ *   stop: () => Promise<Blob>,
+ * }>} `drawFrame` must be called in the same task as the overlay's render.
+ */
+export async function createClipRecorder({ width, height, audio = false, fps = 30 }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const stream = canvas.captureStream(fps);
+
+  let audioStream = null;
+  if (audio) {
+    try {
+      audioStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      audioStream.getAudioTracks().forEach((track) => stream.addTrack(track));
+    } catch (err) {
+      console.warn("Microphone unavailable, recording without audio:", err);
+    }
+  }
+
+  const mimeType = pickRecordingMimeType(!!audioStream);
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+  recorder.start(1000);
+
+  return {
+    drawFrame(sources) {
+      drawComposite(ctx, sources);
+    },
+    hasAudio: !!audioStream,
+    async stop() {
+      if (recorder.state !== "inactive") recorder.stop();
+      await stopped;
+      stream.getTracks().forEach((track) => track.stop());
+      return new Blob(chunks, { type: mimeType || "video/webm" });
+    },
+  };
+}
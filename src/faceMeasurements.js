@@ -0,0 +1,110 @@
+// faceMeasurements.js
+// Real-world facial measurements from refined face mesh landmarks. The human iris diameter is
+// nearly constant across adults (about 11.7 mm), so the tracked iris size gives the
+// millimetres-per-pixel scale used for pupillary distance, face width and temple width.
+
+import { MESH_ANNOTATIONS } from "./keypoints";
+
+export const IRIS_DIAMETER_MM = 11.7;
+
+// Silhouette points at the widest part of the face and at the temples
+const FACE_WIDTH_LANDMARKS = [234, 454];
+const TEMPLE_LANDMARKS = [127, 356];
+
+// Frames with the head turned or tilted further than this are skipped, since widths foreshorten
+const MAX_HEAD_TURN = (15 * Math.PI) / 180;
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Iris diameter in pixels from the four boundary points around an iris centre
+ * (MESH_ANNOTATIONS.leftEyeIris / rightEyeIris: centre first, then two horizontal and
+ * two vertical boundary points, alternating).
+ */
+function irisDiameter(landmarks, [, h1, v1, h2, v2]) {
+  if (!landmarks[h1] || !landmarks[h2] || !landmarks[v1] || !landmarks[v2]) return null;
+  return (distance(landmarks[h1], landmarks[h2]) + distance(landmarks[v1], landmarks[v2])) / 2;
+}
+
+/**
+ * Measures one frame of pixel-space face landmarks (478 points, refineFaceLandmarks on).
+ * @param {Array<{x:number,y:number,z:number}>} landmarks
+ * @returns {null | { mmPerPixel: number, pupillaryDistance: number, faceWidth: number, templeWidth: number }}
+ *   Distances in millimetres.
+ */
+export function measureFace(landmarks) {
+  if (!landmarks || landmarks.length < 478) return null;
+
+  const leftIris = MESH_ANNOTATIONS.leftEyeIris;
+  const rightIris = MESH_ANNOTATIONS.rightEyeIris;
+  const diameters = [irisDiameter(landmarks, leftIris), irisDiameter(landmarks, rightIris)].filter(Boolean);
+  if (diameters.length === 0) return null;
+
+  const irisPixels = diameters.reduce((sum, d) => sum + d, 0) / diameters.length;
+  if (!(irisPixels > 0)) return null;
+  const mmPerPixel = IRIS_DIAMETER_MM / irisPixels;
+
+  const measure = ([a, b]) => distance(landmarks[a], landmarks[b]) * mmPerPixel;
+
+  return {
+    mmPerPixel,
+    pupillaryDistance: measure([leftIris[0], rightIris[0]]),
+    faceWidth: measure(FACE_WIDTH_LANDMARKS),
+    templeWidth: measure(TEMPLE_LANDMARKS),
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Collects per-frame measurements from near-frontal frames and reports their median,
+ * which is far steadier than any single frame.
+ * @param {{ windowSize?: number, minSamples?: number }} [options]
+ * @returns {{ addFrame: (landmarks: Array, headPose?: object) => void, current: () => object|null, reset: () => void }}
+ */
+export function createMeasurementTracker({ windowSize = 90, minSamples = 15 } = {}) {
+  let samples = [];
+
+  return {
+    addFrame(landmarks, headPose) {
+      if (headPose && (Math.abs(headPose.euler.yaw) > MAX_HEAD_TURN || Math.abs(headPose.euler.pitch) > MAX_HEAD_TURN)) return;
+      const sample = measureFace(landmarks);
+      if (!sample) return;
+      samples.push(sample);
+      if (samples.length > windowSize) samples.shift();
+    },
+    current() {
+      if (samples.length < minSamples) return null;
+      return {
+        pupillaryDistance: median(samples.map((s) => s.pupillaryDistance)),
+        faceWidth: median(samples.map((s) => s.faceWidth)),
+        templeWidth: median(samples.map((s) => s.templeWidth)),
+        samples: samples.length,
+      };
+    },
+    reset() {
+      samples = [];
+    },
+  };
+}
+
+/**
+ * Compares a frame's total width (mm) with the measured temple width. Frames should be a little
+ * wider than the temples so the arms don't press on the head, but not overhang the face.
+ * @param {number} frameWidth
+ * @param {{ templeWidth: number }} measurements
+ * @returns {"good"|"narrow"|"wide"|null}
+ */
+export function assessFrameFit(frameWidth, measurements) {
+  if (!frameWidth || !measurements) return null;
+  const difference = frameWidth - measurements.templeWidth;
+  if (difference < -4) return "narrow";
+  if (difference > 10) return "wide";
+  return "good";
+}
@@ -0,0 +1,130 @@
+// faceShape.js
+// Face shape classification (oval, round, square, heart, oblong) from the silhouette, jaw and
+// cheek landmarks. Landmarks are normalised and averaged over a few seconds of frontal tracking
+// first, because proportions from a single frame are too noisy to classify.
+
+export const FACE_SHAPES = {
+  OVAL: "oval",
+  ROUND: "round",
+  SQUARE: "square",
+  HEART: "heart",
+  OBLONG: "oblong",
+};
+
+// Points of MESH_ANNOTATIONS.silhouette (keypoints.ts) the proportions are measured between:
+// forehead, cheekbones (widest part of the face), jaw angles and the sides of the chin
+const SHAPE_LANDMARKS = {
+  foreheadTop: 10,
+  chin: 152,
+  foreheadLeft: 54,
+  foreheadRight: 284,
+  cheekLeft: 234,
+  cheekRight: 454,
+  jawLeft: 172,
+  jawRight: 397,
+  chinLeft: 148,
+  chinRight: 377,
+};
+const TRACKED_INDICES = Object.values(SHAPE_LANDMARKS);
+
+// Frames with the head turned or tilted further than this are skipped
+const MAX_HEAD_TURN = (12 * Math.PI) / 180;
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Face proportions from (averaged) landmarks; all widths are relative to the cheekbone width.
+ * @param {Object<number, {x:number,y:number}>} landmarks
+ */
+export function measureFaceProportions(landmarks) {
+  const p = (name) => landmarks[SHAPE_LANDMARKS[name]];
+  const cheekWidth = distance(p("cheekLeft"), p("cheekRight"));
+  if (!cheekWidth) return null;
+
+  return {
+    length: distance(p("foreheadTop"), p("chin")) / cheekWidth,
+    foreheadWidth: distance(p("foreheadLeft"), p("foreheadRight")) / cheekWidth,
+    jawWidth: distance(p("jawLeft"), p("jawRight")) / cheekWidth,
+    chinWidth: distance(p("chinLeft"), p("chinRight")) / cheekWidth,
+  };
+}
+
+/**
+ * Rule-based classification of face proportions.
+ * @param {ReturnType<typeof measureFaceProportions>} proportions
+ * @returns {string} One of FACE_SHAPES.
+ */
+export function classifyFaceShape(proportions) {
+  const { length, foreheadWidth, jawWidth, chinWidth } = proportions;
+
+  if (length > 1.5 && Math.abs(foreheadWidth - jawWidth) < 0.15) return FACE_SHAPES.OBLONG;
+  if (foreheadWidth - jawWidth > 0.15 && chinWidth < 0.3) return FACE_SHAPES.HEART;
+  if (length < 1.3) {
+    // Short faces: a wide, flat jaw reads square, a tapering one round
+    return jawWidth > 0.85 && chinWidth > 0.35 ? FACE_SHAPES.SQUARE : FACE_SHAPES.ROUND;
+  }
+  if (jawWidth > 0.9 && chinWidth > 0.38) return FACE_SHAPES.SQUARE;
+  return FACE_SHAPES.OVAL;
+}
+
+/**
+ * Averages landmarks over a rolling time window and classifies the result.
+ * @param {{ windowMs?: number, minFrames?: number }} [options]
+ * @returns {{ addFrame: (landmarks: Array, headPose: object|null, timestamp: number) => void,
+ *   current: () => ({ shape: string, proportions: object }|null), reset: () => void }}
+ */
+export function createFaceShapeTracker({ windowMs = 3000, minFrames = 30 } = {}) {
+  let frames = [];
+
+  return {
+    addFrame(landmarks, headPose, timestamp) {
+      if (!landmarks || landmarks.length < 468) return;
+      if (headPose && (Math.abs(headPose.euler.yaw) > MAX_HEAD_TURN || Math.abs(headPose.euler.pitch) > MAX_HEAD_TURN)) {
+        return;
+      }
+
+      // Normalise each frame (centred between the cheeks, cheek line along +x, unit cheek width)
+      // so head movement and roll during the window don't blur the average
+      const left = landmarks[SHAPE_LANDMARKS.cheekLeft];
+      const right = landmarks[SHAPE_LANDMARKS.cheekRight];
+      const width = distance(left, right);
+      if (!width) return;
+      const cx = (left.x + right.x) / 2;
+      const cy = (left.y + right.y) / 2;
+      const cos = (right.x - left.x) / width;
+      const sin = (right.y - left.y) / width;
+
+      const normalized = {};
+      TRACKED_INDICES.forEach((index) => {
+        const dx = (landmarks[index].x - cx) / width;
+        const dy = (landmarks[index].y - cy) / width;
+        normalized[index] = { x: dx * cos + dy * sin, y: dy * cos - dx * sin };
+      });
+
+      frames.push({ timestamp, landmarks: normalized });
+      frames = frames.filter((frame) => Math.abs(timestamp - frame.timestamp) <= windowMs);
+    },
+    current() {
+      if (frames.length < minFrames) return null;
+
+      const averaged = {};
+      TRACKED_INDICES.forEach((index) => {
+        let x = 0;
+        let y = 0;
+        frames.forEach((frame) => {
+          x += frame.landmarks[index].x;
+          y += frame.landmarks[index].y;
+        });
+        averaged[index] = { x: x / frames.length, y: y / frames.length };
+      });
+
+      const proportions = measureFaceProportions(averaged);
+      return proportions ? { shape: classifyFaceShape(proportions), proportions } : null;
+    },
+    reset() {
+      frames = [];
+    },
+  };
+}
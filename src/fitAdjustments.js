@@ -0,0 +1,91 @@
+// fitAdjustments.js
+// User fit nudges ("the glasses sit too low") made in Adjust fit mode. Each adjustment is relative
+// to the accessory's tracked anchor and is kept in localStorage per local user and per accessory,
+// so it is reapplied on later sessions.
+
+const STORAGE_PREFIX = "ar-wardrobe";
+
+/**
+ * Neutral adjustment. `offset` is in units of the accessory's tracked scale (so it stays put
+ * relative to the face when the user moves closer or further away), `scale` multiplies the
+ * tracked scale and `rotation` (radians) is added to the tracked rotation.
+ */
+export const DEFAULT_FIT_ADJUSTMENT = {
+  offset: { x: 0, y: 0, z: 0 },
+  scale: 1,
+  rotation: { pitch: 0, yaw: 0, roll: 0 },
+};
+
+/**
+ * Returns the id of the local user, creating one on first use.
+ * @returns {string}
+ */
+export function getLocalUserId() {
+  const key = `${STORAGE_PREFIX}:user-id`;
+  try {
+    let userId = localStorage.getItem(key);
+    if (!userId) {
+      userId = crypto.randomUUID ? crypto.randomUUID() : `user-${Date.now().toString(36)}`;
+      localStorage.setItem(key, userId);
+    }
+    return userId;
+  } catch {
+    // Storage disabled (private mode, kiosk policy): adjustments only last for this session
+    return "anonymous";
+  }
+}
+
+function storageKey(userId) {
+  return `${STORAGE_PREFIX}:fit-adjustments:${userId}`;
+}
+
+/**
+ * Loads every saved adjustment of a user.
+ * @param {string} userId
+ * @returns {Object<string, typeof DEFAULT_FIT_ADJUSTMENT>} Adjustments keyed by accessory id.
+ */
+export function loadFitAdjustments(userId) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userId)) || "{}");
+    return saved && typeof saved === "object" ? saved : {};
+  } catch (err) {
+    console.warn("Failed to load fit adjustments:", err);
+    return {};
+  }
+}
+
+/**
+ * Saves one accessory's adjustment, or removes it when `adjustment` is null.
+ * @param {string} userId
+ * @param {string} accessoryId
+ * @param {typeof DEFAULT_FIT_ADJUSTMENT|null} adjustment
+ * @returns {Object<string, typeof DEFAULT_FIT_ADJUSTMENT>} The user's updated adjustments.
+ */
+export function saveFitAdjustment(userId, accessoryId, adjustment) {
+  const adjustments = { ...loadFitAdjustments(userId) };
+  if (adjustment) {
+    adjustments[accessoryId] = adjustment;
+  } else {
+    delete adjustments[accessoryId];
+  }
+
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(adjustments));
+  } catch (err) {
+    console.warn("Failed to save fit adjustment:", err);
+  }
+  return adjustments;
+}
+
+/**
+ * Fills in missing fields of a (possibly partial or older) saved adjustment.
+ * @param {object} [adjustment]
+ * @returns {typeof DEFAULT_FIT_ADJUSTMENT}
+ */
+export function normalizeFitAdjustment(adjustment = {}) {
+  return {
+    offset: { ...DEFAULT_FIT_ADJUSTMENT.offset, ...adjustment.offset },
+    scale: adjustment.scale ?? DEFAULT_FIT_ADJUSTMENT.scale,
+    rotation: { ...DEFAULT_FIT_ADJUSTMENT.rotation, ...adjustment.rotation },
+  };
+}
@@ -0,0 +1,85 @@
+// handPose.js
+// Palm-plane orientation from MediaPipe hand landmarks (21 points per hand), used by the
+// ring, bracelet and watch alignment strategies. Plain JS like headPose.js.
+
+import { matrixToEuler } from "./headPose";
+
+// MediaPipe hand landmark indices
+export const HAND_LANDMARKS = {
+  wrist: 0,
+  indexMcp: 5,
+  middleMcp: 9,
+  ringMcp: 13,
+  ringPip: 14,
+  pinkyMcp: 17,
+};
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]);
+  return length > 0 ? [v[0] / length, v[1] / length, v[2] / length] : null;
+}
+
+// Pixel space (y down, z into the screen) -> camera space (y up, z towards the camera)
+function toCameraSpace(lm) {
+  return [lm.x, -lm.y, -lm.z];
+}
+
+/**
+ * Builds an orthonormal frame on the hand: Y runs along the given bone (or along the hand
+ * from the wrist), Z points out of the back of the hand and X completes a right-handed basis.
+ * Accessory models are expected to be authored in that frame: the finger or forearm passes
+ * along the model's Y axis and a watch face looks down +Z.
+ * @param {Array<{x:number,y:number,z:number}>} landmarks Pixel-space hand landmarks.
+ * @param {"left"|"right"} handedness Which of the subject's hands the landmarks belong to.
+ * @param {[number, number]} [bone] Landmark indices defining the Y axis, defaults to wrist -> middle MCP.
+ * @returns {null | {
+ *   rotation: number[][],
+ *   euler: { pitch: number, yaw: number, roll: number },
+ *   palmWidth: number,
+ *   handLength: number,
+ * }} Row-major rotation in camera space plus palm width and wrist-to-middle-MCP length in pixels.
+ */
+export function solveHandPose(landmarks, handedness, bone = [HAND_LANDMARKS.wrist, HAND_LANDMARKS.middleMcp]) {
+  if (!landmarks || landmarks.length < 21) return null;
+
+  const wrist = toCameraSpace(landmarks[HAND_LANDMARKS.wrist]);
+  const indexMcp = toCameraSpace(landmarks[HAND_LANDMARKS.indexMcp]);
+  const middleMcp = toCameraSpace(landmarks[HAND_LANDMARKS.middleMcp]);
+  const pinkyMcp = toCameraSpace(landmarks[HAND_LANDMARKS.pinkyMcp]);
+
+  const across = subtract(pinkyMcp, indexMcp);
+  const along = subtract(middleMcp, wrist);
+  // Index -> pinky runs in opposite directions on the two hands, so the sign keeps Z on the back
+  const side = handedness === "left" ? -1 : 1;
+  const palmNormal = normalize(cross(across, along).map((value) => value * side));
+
+  const yAxis = normalize(subtract(toCameraSpace(landmarks[bone[1]]), toCameraSpace(landmarks[bone[0]])));
+  if (!palmNormal || !yAxis) return null;
+
+  // Gram-Schmidt: make the back-of-hand normal perpendicular to the bone direction
+  const dot = palmNormal[0] * yAxis[0] + palmNormal[1] * yAxis[1] + palmNormal[2] * yAxis[2];
+  const zAxis = normalize(palmNormal.map((value, k) => value - dot * yAxis[k]));
+  if (!zAxis) return null;
+  const xAxis = cross(yAxis, zAxis);
+
+  const rotation = [
+    [xAxis[0], yAxis[0], zAxis[0]],
+    [xAxis[1], yAxis[1], zAxis[1]],
+    [xAxis[2], yAxis[2], zAxis[2]],
+  ];
+
+  return {
+    rotation,
+    euler: matrixToEuler(rotation),
+    palmWidth: Math.hypot(across[0], across[1]),
+    handLength: Math.hypot(along[0], along[1]),
+  };
+}
@@ -0,0 +1,251 @@
+// headPose.js
+// Rigid head pose from MediaPipe face mesh landmarks. The canonical face model is
+// fitted to the tracked landmarks with a weighted similarity Procrustes fit (Horn's
+// quaternion method), giving a full rotation matrix, translation and scale per frame.
+// Plain JS with no Three.js dependency so it can be exercised against recorded sessions.
+
+/**
+ * Metric coordinates (cm) of rigid landmarks in MediaPipe's canonical face model
+ * (canonical_face_model.obj): x towards the subject's left (image right), y up, z out of the face.
+ * Mouth corners get a low weight because they move with expressions.
+ * A full 468-point canonical mesh can be passed to solveHeadPose instead.
+ */
+export const CANONICAL_FACE_POINTS = {
+  1: { point: [0.0, -1.126865, 7.475604], weight: 1.0 }, // nose tip
+  6: { point: [0.0, 2.473255, 5.788627], weight: 1.0 }, // nose bridge
+  168: { point: [0.0, 3.271027, 5.236015], weight: 1.0 }, // midway between eyes
+  10: { point: [0.0, 8.261778, 4.481535], weight: 1.0 }, // forehead top
+  152: { point: [0.0, -9.403378, 4.264492], weight: 0.6 }, // chin
+  33: { point: [-4.445859, 2.663991, 3.173422], weight: 1.0 }, // right eye outer corner
+  263: { point: [4.445859, 2.663991, 3.173422], weight: 1.0 }, // left eye outer corner
+  133: { point: [-1.856432, 2.585245, 3.757904], weight: 1.0 }, // right eye inner corner
+  362: { point: [1.856432, 2.585245, 3.757904], weight: 1.0 }, // left eye inner corner
+  234: { point: [-7.664182, 0.673132, -2.435867], weight: 0.7 }, // right silhouette
+  454: { point: [7.664182, 0.673132, -2.435867], weight: 0.7 }, // left silhouette
+  61: { point: [-2.456206, -4.342621, 4.283884], weight: 0.3 }, // right mouth corner
+  291: { point: [2.456206, -4.342621, 4.283884], weight: 0.3 }, // left mouth corner
+};
+
+/**
+ * Eigen decomposition of a symmetric 4x4 matrix using cyclic Jacobi rotations.
+ * @param {number[][]} matrix Symmetric matrix (left untouched).
+ * @returns {{ values: number[], vectors: number[][] }} Eigenvalues and column eigenvectors.
+ */
+function jacobiEigen4(matrix) {
+  const a = matrix.map((row) => row.slice());
+  const v = [
+    [1, 0, 0, 0],
+    [0, 1, 0, 0],
+    [0, 0, 1, 0],
+    [0, 0, 0, 1],
+  ];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < 1e-18) break;
+
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-20) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return { values: [a[0][0], a[1][1], a[2][2], a[3][3]], vectors: v };
+}
+
+/**
+ * Converts a unit quaternion (w, x, y, z) into a row-major 3x3 rotation matrix.
+ */
+function quaternionToMatrix(w, x, y, z) {
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)],
+  ];
+}
+
+function applyMatrix(m, p) {
+  return [
+    m[0][0] * p[0] + m[0][1] * p[1] + m[0][2] * p[2],
+    m[1][0] * p[0] + m[1][1] * p[1] + m[1][2] * p[2],
+    m[2][0] * p[0] + m[2][1] * p[1] + m[2][2] * p[2],
+  ];
+}
+
+/**
+ * Euler angles of a rotation matrix in Three.js "XYZ" order, so they can be assigned
+ * directly to `object.rotation.x/y/z`.
+ * @param {number[][]} m Row-major 3x3 rotation matrix.
+ * @returns {{ pitch: number, yaw: number, roll: number }}
+ */
+export function matrixToEuler(m) {
+  const yaw = Math.asin(Math.max(-1, Math.min(1, m[0][2])));
+  if (Math.abs(m[0][2]) < 0.9999999) {
+    return { pitch: Math.atan2(-m[1][2], m[2][2]), yaw, roll: Math.atan2(-m[0][1], m[0][0]) };
+  }
+  return { pitch: Math.atan2(m[2][1], m[1][1]), yaw, roll: 0 };
+}
+
+/**
+ * Builds the list of canonical/observed correspondences used by the fit.
+ * @param {Array|object} canonical Either a full canonical mesh (array of [x,y,z] indexed by
+ *   landmark) or a sparse map like CANONICAL_FACE_POINTS.
+ */
+function collectCorrespondences(landmarks, canonical) {
+  const pairs = [];
+  const add = (index, point, weight) => {
+    const lm = landmarks[index];
+    if (!lm || !point) return;
+    // Pixel-space landmarks are x right, y down, z into the screen; flip y and z so the
+    // observed frame matches the canonical one (and Three.js): x right, y up, z towards the camera.
+    pairs.push({ model: point, observed: [lm.x, -lm.y, -lm.z], weight });
+  };
+
+  if (Array.isArray(canonical)) {
+    canonical.forEach((point, index) => add(index, point, 1));
+  } else {
+    Object.entries(canonical).forEach(([index, { point, weight = 1 }]) => add(Number(index), point, weight));
+  }
+  return pairs;
+}
+
+/**
+ * Solves the rigid head pose for one frame of face landmarks.
+ * @param {Array<{x:number,y:number,z:number}>} landmarks Pixel-space face landmarks
+ *   (as produced by convertFaceLandmarksToPixelPoints).
+ * @param {Array|object} [canonical] Reference face model, defaults to CANONICAL_FACE_POINTS.
+ * @returns {null | {
+ *   rotation: number[][],
+ *   euler: { pitch: number, yaw: number, roll: number },
+ *   translation: { x: number, y: number, z: number },
+ *   scale: number,
+ *   error: number,
+ * }} `rotation` maps canonical directions into camera space (y up, z towards the camera);
+ *   `translation` is the canonical origin in pixel space; `scale` is pixels per centimetre;
+ *   `error` is the weighted RMS fit residual in centimetres.
+ */
+export function solveHeadPose(landmarks, canonical = CANONICAL_FACE_POINTS) {
+  if (!landmarks || !landmarks.length) return null;
+
+  const pairs = collectCorrespondences(landmarks, canonical);
+  if (pairs.length < 4) return null;
+
+  let totalWeight = 0;
+  const modelMean = [0, 0, 0];
+  const observedMean = [0, 0, 0];
+  pairs.forEach(({ model, observed, weight }) => {
+    totalWeight += weight;
+    for (let k = 0; k < 3; k++) {
+      modelMean[k] += weight * model[k];
+      observedMean[k] += weight * observed[k];
+    }
+  });
+  for (let k = 0; k < 3; k++) {
+    modelMean[k] /= totalWeight;
+    observedMean[k] /= totalWeight;
+  }
+
+  // Weighted cross-covariance S[a][b] = sum w * p_a * q_b of the centred point sets
+  const S = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  let modelVariance = 0;
+  const centred = pairs.map(({ model, observed, weight }) => {
+    const p = model.map((value, k) => value - modelMean[k]);
+    const q = observed.map((value, k) => value - observedMean[k]);
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) S[a][b] += weight * p[a] * q[b];
+    }
+    modelVariance += weight * (p[0] * p[0] + p[1] * p[1] + p[2] * p[2]);
+    return { p, q, weight };
+  });
+  if (modelVariance === 0) return null;
+
+  const [[Sxx, Sxy, Sxz], [Syx, Syy, Syz], [Szx, Szy, Szz]] = S;
+  const N = [
+    [Sxx + Syy + Szz, Syz - Szy, Szx - Sxz, Sxy - Syx],
+    [Syz - Szy, Sxx - Syy - Szz, Sxy + Syx, Szx + Sxz],
+    [Szx - Sxz, Sxy + Syx, -Sxx + Syy - Szz, Syz + Szy],
+    [Sxy - Syx, Szx + Sxz, Syz + Szy, -Sxx - Syy + Szz],
+  ];
+
+  const { values, vectors } = jacobiEigen4(N);
+  let best = 0;
+  for (let i = 1; i < 4; i++) if (values[i] > values[best]) best = i;
+  const [qw, qx, qy, qz] = [vectors[0][best], vectors[1][best], vectors[2][best], vectors[3][best]];
+  const norm = Math.hypot(qw, qx, qy, qz);
+  const rotation = quaternionToMatrix(qw / norm, qx / norm, qy / norm, qz / norm);
+
+  let projection = 0;
+  centred.forEach(({ p, q, weight }) => {
+    const rp = applyMatrix(rotation, p);
+    projection += weight * (q[0] * rp[0] + q[1] * rp[1] + q[2] * rp[2]);
+  });
+  const scale = projection / modelVariance;
+  if (!(scale > 0)) return null;
+
+  let squaredError = 0;
+  centred.forEach(({ p, q, weight }) => {
+    const rp = applyMatrix(rotation, p);
+    for (let k = 0; k < 3; k++) {
+      const residual = q[k] / scale - rp[k];
+      squaredError += weight * residual * residual;
+    }
+  });
+
+  const rotatedMean = applyMatrix(rotation, modelMean);
+  const origin = observedMean.map((value, k) => value - scale * rotatedMean[k]);
+
+  return {
+    rotation,
+    euler: matrixToEuler(rotation),
+    translation: { x: origin[0], y: -origin[1], z: -origin[2] },
+    scale,
+    error: Math.sqrt(squaredError / totalWeight),
+  };
+}
+
+/**
+ * Maps a point given in canonical face coordinates (cm) into pixel space using a solved pose.
+ * @param {ReturnType<typeof solveHeadPose>} pose
+ * @param {number[]} point Canonical [x, y, z].
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function transformCanonicalPoint(pose, point) {
+  const rp = applyMatrix(pose.rotation, point);
+  return {
+    x: pose.translation.x + pose.scale * rp[0],
+    y: pose.translation.y - pose.scale * rp[1],
+    z: pose.translation.z - pose.scale * rp[2],
+  };
+}
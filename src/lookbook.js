@@ -0,0 +1,133 @@
+// lookbook.js
+// Local gallery of composited try-on snapshots ("looks"), kept in IndexedDB together with the
+// accessories worn, so users can compare looks after trying several items. Looks can be
+// exported as a zip of PNGs or as a single contact-sheet image.
+
+import { strToU8, zipSync } from "three/examples/jsm/libs/fflate.module.js";
+import { canvasToBlob } from "./snapshot";
+
+const DB_NAME = "ar-wardrobe";
+const DB_VERSION = 1;
+const STORE = "lookbook";
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => (dbPromise = null));
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Saves a look.
+ * @param {{ image: Blob, accessories: Array<{ id: string, name: string, type: string }> }} look
+ * @returns {Promise<number>} The new look's id.
+ */
+export function addLook({ image, accessories }) {
+  return withStore("readwrite", (store) =>
+    store.add({ image, accessories, createdAt: new Date().toISOString() })
+  );
+}
+
+/**
+ * Lists all looks, newest first.
+ * @returns {Promise<Array<{ id: number, image: Blob, accessories: Array<object>, createdAt: string }>>}
+ */
+export async function listLooks() {
+  const looks = await withStore("readonly", (store) => store.getAll());
+  return looks.reverse();
+}
+
+/**
+ * Deletes a look.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteLook(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Caption for a look: the names of the accessories worn.
+ * @param {{ accessories: Array<{ name: string }> }} look
+ * @returns {string}
+ */
+export function describeLook(look) {
+  return look.accessories.map((item) => item.name.trim()).join(", ") || "No accessories";
+}
+
+/**
+ * Packs looks into a zip: one PNG per look plus `lookbook.json` listing what each one shows.
+ * @param {Array<object>} looks
+ * @returns {Promise<Blob>}
+ */
+export async function exportLookbookZip(looks) {
+  const files = {};
+  const manifest = [];
+  for (const [index, look] of looks.entries()) {
+    const filename = `look-${String(index + 1).padStart(2, "0")}.png`;
+    files[filename] = new Uint8Array(await look.image.arrayBuffer());
+    manifest.push({ file: filename, createdAt: look.createdAt, accessories: look.accessories });
+  }
+  files["lookbook.json"] = strToU8(JSON.stringify(manifest, null, 2));
+
+  // PNGs are already compressed, so they are stored as they are
+  return new Blob([zipSync(files, { level: 0 })], { type: "application/zip" });
+}
+
+/**
+ * Lays looks out in a grid with their captions on one PNG.
+ * @param {Array<object>} looks
+ * @param {{ columns?: number, tileWidth?: number }} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function createContactSheet(looks, { columns = 3, tileWidth = 320 } = {}) {
+  const bitmaps = await Promise.all(looks.map((look) => createImageBitmap(look.image)));
+  const tileHeight = Math.round(
+    bitmaps.reduce((max, bitmap) => Math.max(max, (bitmap.height / bitmap.width) * tileWidth), 0)
+  );
+  const captionHeight = 28;
+  const gap = 12;
+  const rows = Math.ceil(looks.length / columns);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = gap + Math.min(columns, looks.length) * (tileWidth + gap);
+  canvas.height = gap + rows * (tileHeight + captionHeight + gap);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.font = "14px 'Segoe UI', Tahoma, sans-serif";
+  ctx.textBaseline = "middle";
+
+  bitmaps.forEach((bitmap, index) => {
+    const x = gap + (index % columns) * (tileWidth + gap);
+    const y = gap + Math.floor(index / columns) * (tileHeight + captionHeight + gap);
+    ctx.drawImage(bitmap, x, y, tileWidth, (bitmap.height / bitmap.width) * tileWidth);
+    ctx.fillStyle = "#333";
+    ctx.fillText(describeLook(looks[index]), x, y + tileHeight + captionHeight / 2, tileWidth);
+    bitmap.close();
+  });
+
+  return canvasToBlob(canvas);
+}
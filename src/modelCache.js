@@ -0,0 +1,50 @@
+// modelCache.js
+// Persistent model cache for pages no service worker controls (dev server, first visit, browsers
+// without service workers). A controlling worker caches models itself (public/sw.js) and deletes
+// this cache when it takes over, so exactly one persistent cache holds them at a time.
+
+export const MODEL_CACHE_NAME = "ar-wardrobe-models-v1";
+
+/**
+ * Opens the model cache.
+ * @returns {Promise<Cache|null>} null while a service worker controls the page, or where Cache
+ *   Storage isn't available.
+ */
+export async function openModelCache() {
+  if (typeof caches === "undefined") return null; // insecure context or unsupported
+  if (navigator.serviceWorker?.controller) return null;
+  return caches.open(MODEL_CACHE_NAME).catch(() => null);
+}
+
+/**
+ * Fetches a model through a Cache Storage cache, revalidating the cached copy like the service
+ * worker does: an unchanged model costs a 304, a replaced one is downloaded and cached again, and
+ * offline the cached copy is served.
+ * @param {string} url
+ * @param {Cache|null} cache Without a cache this is a plain fetch.
+ * @returns {Promise<Response>}
+ * @throws {Error} When the model doesn't exist, or is neither reachable nor cached.
+ */
+export async function fetchModel(url, cache) {
+  const cached = cache && (await cache.match(url).catch(() => null));
+  const headers = new Headers();
+  const etag = cached?.headers.get("etag");
+  const lastModified = cached?.headers.get("last-modified");
+  if (etag) headers.set("If-None-Match", etag);
+  if (lastModified) headers.set("If-Modified-Since", lastModified);
+
+  let response;
+  try {
+    response = await fetch(url, { headers });
+  } catch (err) {
+    if (cached) return cached;
+    throw err;
+  }
+  if (response.status === 304 && cached) return cached;
+
+  const contentType = response.headers.get("content-type") || "";
+  // Dev servers answer missing files with index.html
+  if (!response.ok || contentType.includes("text/html")) throw new Error(`Model not found: ${url}`);
+  if (cache) cache.put(url, response.clone()).catch(() => {});
+  return response;
+}
@@ -0,0 +1,74 @@
+// performanceMonitor.js
+// Rolling render and tracking statistics over the last second, for the performance HUD and the
+// adaptive quality controller (see adaptiveQuality.js).
+
+// How much history (ms) the averages cover
+const WINDOW = 1000;
+// Display refresh interval that render frames are counted as dropped against (60 Hz)
+const DISPLAY_INTERVAL = 1000 / 60;
+
+function trim(samples, now) {
+  while (samples.length > 0 && now - samples[0].time > WINDOW) samples.shift();
+}
+
+const average = (samples, key) => samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length;
+
+/**
+ * Creates a performance monitor.
+ * @returns {{
+ *   frame: (now: number) => void,
+ *   inference: (now: number, latency: number) => void,
+ *   stats: (now: number) => {
+ *     fps: number|null, frameTime: number|null, trackingFps: number|null, inferenceLatency: number|null,
+ *     droppedFrames: number, droppedTotal: number,
+ *   },
+ *   reset: () => void,
+ * }} Call `frame` once per rendered frame and `inference` per tracking result, with
+ *   performance.now() times. Stats are null while there are no samples (e.g. no tracking while
+ *   a session replays); `droppedFrames` counts the last second.
+ */
+export function createPerformanceMonitor() {
+  let frames = [];
+  let inferences = [];
+  let lastFrameAt = 0;
+  let droppedTotal = 0;
+
+  return {
+    frame(now) {
+      const interval = now - lastFrameAt;
+      lastFrameAt = now;
+      // Longer gaps are a hidden tab or a paused page, not slow rendering
+      if (interval >= WINDOW) return;
+      const dropped = Math.max(0, Math.round(interval / DISPLAY_INTERVAL) - 1);
+      droppedTotal += dropped;
+      frames.push({ time: now, interval, dropped });
+      trim(frames, now);
+    },
+
+    inference(now, latency) {
+      inferences.push({ time: now, latency });
+      trim(inferences, now);
+    },
+
+    stats(now) {
+      trim(frames, now);
+      trim(inferences, now);
+      const frameTime = frames.length > 0 ? average(frames, "interval") : null;
+      return {
+        fps: frameTime ? 1000 / frameTime : null,
+        frameTime,
+        trackingFps: inferences.length > 0 ? (inferences.length * 1000) / WINDOW : null,
+        inferenceLatency: inferences.length > 0 ? average(inferences, "latency") : null,
+        droppedFrames: frames.reduce((sum, frame) => sum + frame.dropped, 0),
+        droppedTotal,
+      };
+    },
+
+    // Starts the averages over, e.g. after a quality change; the dropped total is kept
+    reset() {
+      frames = [];
+      inferences = [];
+      lastFrameAt = 0;
+    },
+  };
+}
@@ -0,0 +1,60 @@
+// recommendations.js
+// Offline, rule-based accessory suggestions for a face shape. Each rule scores catalog items by
+// their style `tags` ("round frames suit square faces"); items are ranked by total score and the
+// strongest matching rule becomes the reason shown to the user.
+
+import { FACE_SHAPES } from "./faceShape";
+
+const RULES = [
+  // Oval: balanced proportions carry most styles, bolder pieces included
+  { shapes: [FACE_SHAPES.OVAL], tags: ["rectangular", "aviator"], score: 2, reason: "Balanced proportions carry structured frames" },
+  { shapes: [FACE_SHAPES.OVAL], tags: ["statement"], score: 1, reason: "Oval faces can wear bold pieces" },
+
+  // Round: angles and length add definition, more curves widen the face
+  { shapes: [FACE_SHAPES.ROUND], tags: ["rectangular", "angular"], score: 3, reason: "Angular frames add definition to round faces" },
+  { shapes: [FACE_SHAPES.ROUND], tags: ["drop", "pendant", "long"], score: 2, reason: "Length below the chin elongates a round face" },
+  { shapes: [FACE_SHAPES.ROUND], tags: ["round", "hoop", "choker"], score: -2 },
+
+  // Square: curves soften a strong jawline, hard edges repeat it
+  { shapes: [FACE_SHAPES.SQUARE], tags: ["round"], score: 3, reason: "Round frames soften a square jawline" },
+  { shapes: [FACE_SHAPES.SQUARE], tags: ["hoop", "drop", "pearl"], score: 2, reason: "Curved shapes soften strong angles" },
+  { shapes: [FACE_SHAPES.SQUARE], tags: ["rectangular", "angular"], score: -2 },
+
+  // Heart: balance a wide forehead with width lower down
+  { shapes: [FACE_SHAPES.HEART], tags: ["aviator", "round"], score: 3, reason: "Bottom-heavy frames balance a wider forehead" },
+  { shapes: [FACE_SHAPES.HEART], tags: ["drop", "statement"], score: 2, reason: "Width at the jaw balances a narrow chin" },
+  { shapes: [FACE_SHAPES.HEART], tags: ["tall"], score: -1 },
+
+  // Oblong: add width, avoid adding more length
+  { shapes: [FACE_SHAPES.OBLONG], tags: ["aviator", "round"], score: 2, reason: "Deep frames shorten a long face" },
+  { shapes: [FACE_SHAPES.OBLONG], tags: ["stud", "hoop", "choker", "pearl"], score: 2, reason: "Pieces close to the face add width" },
+  { shapes: [FACE_SHAPES.OBLONG], tags: ["long", "pendant", "tall"], score: -2 },
+];
+
+/**
+ * Ranks catalog items for a face shape.
+ * @param {string} faceShape One of FACE_SHAPES.
+ * @param {Array<{ id: string, tags?: string[] }>} catalog
+ * @param {{ limit?: number, exclude?: string[] }} [options] `exclude` lists ids to leave out (e.g. worn items).
+ * @returns {Array<{ accessory: object, score: number, reason: string }>} Positively scored items, best first.
+ */
+export function recommendAccessories(faceShape, catalog, { limit = 4, exclude = [] } = {}) {
+  const rules = RULES.filter((rule) => rule.shapes.includes(faceShape));
+
+  return catalog
+    .filter((accessory) => !exclude.includes(accessory.id))
+    .map((accessory) => {
+      const tags = accessory.tags || [];
+      let score = 0;
+      let best = null;
+      rules.forEach((rule) => {
+        if (!rule.tags.some((tag) => tags.includes(tag))) return;
+        score += rule.score;
+        if (rule.reason && (!best || rule.score > best.score)) best = rule;
+      });
+      return { accessory, score, reason: best?.reason };
+    })
+    .filter((item) => item.score > 0 && item.reason)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
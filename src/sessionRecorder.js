@@ -0,0 +1,157 @@
+// sessionRecorder.js
+// Records MediaPipe Holistic results into a JSON session file and replays a saved
+// session through the same results callback, so placement issues can be reproduced
+// deterministically on machines without a camera.
+
+export const SESSION_VERSION = 1;
+
+// Landmark sets captured from every Holistic results payload
+const LANDMARK_KEYS = ["faceLandmarks", "poseLandmarks", "leftHandLandmarks", "rightHandLandmarks"];
+
+/**
+ * Copies a landmark list into plain JSON-friendly objects.
+ * @param {Array<{x:number,y:number,z:number,visibility?:number}>|undefined} landmarks
+ * @returns {Array<{x:number,y:number,z:number,visibility?:number}>|null}
+ */
+function serializeLandmarks(landmarks) {
+  if (!landmarks || !landmarks.length) return null;
+  return landmarks.map((lm) => {
+    const point = { x: lm.x, y: lm.y, z: lm.z };
+    if (lm.visibility !== undefined) point.visibility = lm.visibility;
+    return point;
+  });
+}
+
+/**
+ * Creates a recorder that collects Holistic results frame by frame.
+ * @param {object} meta Extra session fields (video size, accessory, ...).
+ * @returns {{ addFrame: (results: object) => void, frameCount: number, finish: () => object }}
+ */
+export function createSessionRecorder(meta = {}) {
+  const frames = [];
+  const startTime = performance.now();
+
+  return {
+    addFrame(results) {
+      const frame = { t: Math.round((performance.now() - startTime) * 100) / 100 };
+      LANDMARK_KEYS.forEach((key) => {
+        frame[key] = serializeLandmarks(results[key]);
+      });
+      frames.push(frame);
+    },
+    get frameCount() {
+      return frames.length;
+    },
+    finish() {
+      return {
+        version: SESSION_VERSION,
+        createdAt: new Date().toISOString(),
+        ...meta,
+        frames,
+      };
+    },
+  };
+}
+
+/**
+ * Parses and validates the contents of a session file.
+ * @param {string} text Raw JSON text.
+ * @returns {object} The session object.
+ * @throws {Error} When the file is not a valid session.
+ */
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Session file is not valid JSON: ${err.message}`);
+  }
+
+  if (!session || typeof session !== "object") throw new Error("Session file is empty");
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${session.version}`);
+  }
+  if (!Array.isArray(session.frames) || session.frames.length === 0) {
+    throw new Error("Session has no frames");
+  }
+
+  session.frames.forEach((frame, index) => {
+    if (!frame || typeof frame !== "object") throw new Error(`Frame ${index} is not an object`);
+    if (typeof frame.t !== "number") throw new Error(`Frame ${index} has no timestamp`);
+    LANDMARK_KEYS.forEach((key) => {
+      if (frame[key] != null && !Array.isArray(frame[key])) {
+        throw new Error(`Frame ${index} has invalid ${key}`);
+      }
+    });
+  });
+
+  return session;
+}
+
+/**
+ * Triggers a browser download of the session as a JSON file.
+ * @param {object} session
+ * @param {string} [filename]
+ */
+export function downloadSession(session, filename) {
+  const name = filename || `session-${session.createdAt.replace(/[:.]/g, "-")}.json`;
+  const blob = new Blob([JSON.stringify(session)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Plays a session back by calling `onFrame` with a Holistic-shaped results object
+ * and the recorded timestamp for every frame, honouring the original frame timing.
+ * @param {object} session A parsed session.
+ * @param {(results: object, timestamp: number) => void} onFrame
+ * @param {{ loop?: boolean, onEnd?: () => void }} [options]
+ * @returns {{ start: () => void, stop: () => void }}
+ */
+export function createSessionPlayer(session, onFrame, { loop = false, onEnd } = {}) {
+  const frames = session.frames;
+  let index = 0;
+  let timer = null;
+  let stopped = true;
+
+  function playFrame() {
+    if (stopped) return;
+
+    const frame = frames[index];
+    const results = {};
+    LANDMARK_KEYS.forEach((key) => {
+      if (frame[key]) results[key] = frame[key];
+    });
+    onFrame(results, frame.t);
+
+    index++;
+    if (index >= frames.length) {
+      if (!loop) {
+        stopped = true;
+        if (onEnd) onEnd();
+        return;
+      }
+      index = 0;
+    }
+
+    const delay = index === 0 ? 0 : Math.max(0, frames[index].t - frame.t);
+    timer = setTimeout(playFrame, delay);
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      index = 0;
+      playFrame();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
@@ -0,0 +1,74 @@
+// snapshot.js
+// Composites the viewer's background (camera video or uploaded photo) and the WebGL overlay
+// into one image, the way the viewer shows them, for PNG export and clip recording.
+
+/**
+ * Draws the background with `object-fit: cover` (like the viewer) and the overlay canvas on top.
+ * The WebGL canvas must have been rendered in the same task, since its drawing buffer is not
+ * preserved between frames.
+ * @param {{
+ *   background: HTMLVideoElement|HTMLImageElement,
+ *   overlay: HTMLCanvasElement,
+ *   mirrored?: boolean,
+ * }} sources `mirrored` flips the whole composite, as the viewer does for selfie view.
+ * @returns {HTMLCanvasElement} A canvas the size of the overlay's drawing buffer.
+ */
+export function composeSnapshot({ background, overlay, mirrored = false }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = overlay.width;
+  canvas.height = overlay.height;
+  drawComposite(canvas.getContext("2d"), { background, overlay, mirrored });
+  return canvas;
+}
+
+/**
+ * Draws a composite (see composeSnapshot) into an existing 2D context, filling its canvas.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ background: HTMLVideoElement|HTMLImageElement, overlay: HTMLCanvasElement, mirrored?: boolean }} sources
+ */
+export function drawComposite(ctx, { background, overlay, mirrored = false }) {
+  const { width: canvasWidth, height: canvasHeight } = ctx.canvas;
+  ctx.save();
+  ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+  if (mirrored) {
+    ctx.translate(canvasWidth, 0);
+    ctx.scale(-1, 1);
+  }
+
+  const sourceWidth = background.videoWidth || background.naturalWidth || background.width;
+  const sourceHeight = background.videoHeight || background.naturalHeight || background.height;
+  if (sourceWidth && sourceHeight) {
+    const scale = Math.max(canvasWidth / sourceWidth, canvasHeight / sourceHeight);
+    const width = sourceWidth * scale;
+    const height = sourceHeight * scale;
+    ctx.drawImage(background, (canvasWidth - width) / 2, (canvasHeight - height) / 2, width, height);
+  }
+  ctx.drawImage(overlay, 0, 0, canvasWidth, canvasHeight);
+  ctx.restore();
+}
+
+/**
+ * Encodes a canvas.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type]
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type = "image/png") {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Failed to encode snapshot"))), type);
+  });
+}
+
+/**
+ * Triggers a browser download of a blob.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
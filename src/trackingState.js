@@ -0,0 +1,127 @@
+// trackingState.js
+// Tracking-state machine for worn accessories. A single frame without landmarks must not blank
+// an accessory, so detection has to persist for a short while before an accessory appears
+// (acquiring -> tracking), and a tracked accessory holds its last pose for `holdTime` when
+// detection drops out (occluded) before it is given up (lost). Opacity eases between states
+// so accessories fade in and out instead of popping; states change per tracking result, while
+// fades are stepped per rendered frame so they run at the display rate.
+
+export const TRACKING_STATES = {
+  ACQUIRING: "acquiring",
+  TRACKING: "tracking",
+  OCCLUDED: "occluded",
+  LOST: "lost",
+};
+
+// Times in milliseconds; `minConfidence` is the per-frame confidence below which a frame
+// counts as not detected
+export const DEFAULT_TRACKING_PARAMS = {
+  acquireTime: 150,
+  holdTime: 500,
+  fadeInTime: 200,
+  fadeOutTime: 300,
+  minConfidence: 0.5,
+};
+
+// Pose landmarks backing each tracked region: face (nose, eyes, ears, mouth), torso
+// (shoulders) and the wrists
+const POSE_FACE_INDICES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const POSE_TORSO_INDICES = [11, 12];
+const POSE_WRIST_INDEX = { left: 15, right: 16 };
+
+function meanVisibility(poseLandmarks, indices) {
+  const values = indices.map((index) => poseLandmarks[index]?.visibility).filter((v) => typeof v === "number");
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 1;
+}
+
+/**
+ * Per-frame confidence (0..1) of each tracked region in a Holistic results object. Face and hand
+ * meshes carry no score of their own, so a present mesh is weighted by the visibility of the
+ * matching pose landmarks when the pose is available.
+ * @param {object} results Holistic results.
+ * @returns {{ face: number, pose: number, leftHand: number, rightHand: number }}
+ */
+export function computeTrackingConfidence(results) {
+  const pose = results.poseLandmarks;
+  const hasHand = (landmarks) => !!(landmarks && landmarks.length);
+  const handConfidence = (handedness) => {
+    if (!hasHand(results[`${handedness}HandLandmarks`])) return 0;
+    return pose ? meanVisibility(pose, [POSE_WRIST_INDEX[handedness]]) : 1;
+  };
+
+  return {
+    face: results.faceLandmarks?.length ? (pose ? meanVisibility(pose, POSE_FACE_INDICES) : 1) : 0,
+    pose: pose?.length ? meanVisibility(pose, POSE_TORSO_INDICES) : 0,
+    leftHand: handConfidence("left"),
+    rightHand: handConfidence("right"),
+  };
+}
+
+/**
+ * Creates a tracking-state machine for one accessory.
+ * @param {Partial<typeof DEFAULT_TRACKING_PARAMS>} [params] Overrides of DEFAULT_TRACKING_PARAMS.
+ * @returns {{
+ *   update: (detected: boolean, confidence: number, timestamp: number) => string,
+ *   fade: (dt: number) => number,
+ *   state: string,
+ *   opacity: number,
+ *   reset: () => void,
+ * }} `update` advances the machine by one tracking result and returns the new state; `fade`
+ *   eases the opacity `dt` ms towards the state's target and returns it.
+ */
+export function createTrackingStateMachine(params = {}) {
+  const { acquireTime, holdTime, fadeInTime, fadeOutTime, minConfidence } = { ...DEFAULT_TRACKING_PARAMS, ...params };
+
+  let state = TRACKING_STATES.LOST;
+  let since = 0;
+  let opacity = 0;
+
+  function enter(next, timestamp) {
+    state = next;
+    since = timestamp;
+  }
+
+  return {
+    update(detected, confidence, timestamp) {
+      const seen = detected && confidence >= minConfidence;
+
+      switch (state) {
+        case TRACKING_STATES.LOST:
+          if (seen) enter(TRACKING_STATES.ACQUIRING, timestamp);
+          break;
+        case TRACKING_STATES.ACQUIRING:
+          if (!seen) enter(TRACKING_STATES.LOST, timestamp);
+          else if (timestamp - since >= acquireTime) enter(TRACKING_STATES.TRACKING, timestamp);
+          break;
+        case TRACKING_STATES.TRACKING:
+          if (!seen) enter(TRACKING_STATES.OCCLUDED, timestamp);
+          break;
+        case TRACKING_STATES.OCCLUDED:
+          if (seen) enter(TRACKING_STATES.TRACKING, timestamp);
+          else if (timestamp - since >= holdTime) enter(TRACKING_STATES.LOST, timestamp);
+          break;
+      }
+
+      return state;
+    },
+    fade(dt) {
+      // A held (occluded) accessory stays fully visible
+      const target = state === TRACKING_STATES.TRACKING || state === TRACKING_STATES.OCCLUDED ? 1 : 0;
+      const step = Math.max(0, dt);
+      if (target > opacity) opacity = Math.min(target, opacity + step / fadeInTime);
+      else opacity = Math.max(target, opacity - step / fadeOutTime);
+      return opacity;
+    },
+    get state() {
+      return state;
+    },
+    get opacity() {
+      return opacity;
+    },
+    reset() {
+      state = TRACKING_STATES.LOST;
+      since = 0;
+      opacity = 0;
+    },
+  };
+}
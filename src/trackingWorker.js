@@ -0,0 +1,90 @@
+// trackingWorker.js
+// Page side of the landmark tracking worker (public/tracking-worker.js). Frames are copied into
+// ImageBitmaps and transferred to the worker, which runs MediaPipe Holistic and posts the
+// landmarks back, so inference never blocks rendering or input on the main thread.
+
+const WORKER_URL = `${import.meta.env.BASE_URL}tracking-worker.js`;
+
+/**
+ * Starts a tracking worker.
+ * @param {{ options: object }} options Initial Holistic options (modelComplexity, ...).
+ * @returns {{
+ *   ready: Promise<void>,
+ *   send: (image: HTMLVideoElement|HTMLImageElement|HTMLCanvasElement, options?: { staticImage?: boolean }) => Promise<object>,
+ *   setOptions: (options: object) => void,
+ *   close: () => void,
+ * }} `ready` settles once Holistic has loaded in the worker. `send` resolves to the frame's
+ *   landmarks ({ faceLandmarks, poseLandmarks, leftHandLandmarks, rightHandLandmarks }, each
+ *   missing when not detected); frames are analysed in the order they are sent. `staticImage`
+ *   analyses a still photo without tracking from previous frames.
+ */
+export function createTrackingWorker({ options }) {
+  const worker = new Worker(WORKER_URL);
+  // Frame id -> { resolve, reject }
+  const pending = new Map();
+  let nextId = 1;
+  let closed = false;
+
+  let settleReady;
+  const ready = new Promise((resolve, reject) => {
+    settleReady = { resolve, reject };
+  });
+
+  function failAll(error) {
+    settleReady.reject(error);
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  }
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === "ready") {
+      settleReady.resolve();
+      return;
+    }
+    const request = data.id ? pending.get(data.id) : null;
+    if (request) pending.delete(data.id);
+    if (data.type === "results") {
+      request?.resolve(data.results);
+    } else if (data.type === "error") {
+      const error = new Error(data.message);
+      if (request) request.reject(error);
+      else settleReady.reject(error);
+    }
+  };
+  // The worker script itself failed to load or threw
+  worker.onerror = (event) => {
+    event.preventDefault();
+    failAll(new Error(event.message || "Tracking worker failed"));
+  };
+
+  worker.postMessage({ type: "init", baseUrl: import.meta.env.BASE_URL, options });
+
+  return {
+    ready,
+
+    async send(image, { staticImage = false } = {}) {
+      if (closed) throw new Error("Tracking worker closed");
+      const bitmap = await createImageBitmap(image);
+      if (closed) {
+        bitmap.close();
+        throw new Error("Tracking worker closed");
+      }
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: "frame", id, bitmap, staticImage }, [bitmap]);
+      });
+    },
+
+    setOptions(changes) {
+      if (!closed) worker.postMessage({ type: "setOptions", options: changes });
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      worker.terminate();
+      failAll(new Error("Tracking worker closed"));
+    },
+  };
+}
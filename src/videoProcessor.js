@@ -0,0 +1,114 @@
+// videoProcessor.js
+// Offline processing of a video file: steps through the file frame by frame, lets the caller
+// track and composite each frame, and records the composited frames into a new WebM video.
+// MediaRecorder stamps frames with wall-clock time, so the recorder is paused while a frame is
+// being processed and only runs for exactly one frame duration per frame; the output plays at
+// the right speed however long the processing takes.
+
+export const DEFAULT_OUTPUT_FPS = 30;
+
+const MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+const MIME_TYPES_WITH_AUDIO = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"];
+
+/**
+ * Returns the first WebM type MediaRecorder supports here, or "" to let it choose.
+ * @param {boolean} [withAudio] Whether the recorded stream has an audio track.
+ * @returns {string}
+ */
+export function pickRecordingMimeType(withAudio = false) {
+  if (typeof MediaRecorder === "undefined" || !MediaRecorder.isTypeSupported) return "";
+  const types = withAudio ? MIME_TYPES_WITH_AUDIO : MIME_TYPES;
+  return types.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+}
+
+function seek(video, time) {
+  return new Promise((resolve, reject) => {
+    const onSeeked = () => {
+      video.removeEventListener("error", onError);
+      resolve();
+    };
+    const onError = () => {
+      video.removeEventListener("seeked", onSeeked);
+      reject(new Error("Failed to seek video"));
+    };
+    video.addEventListener("seeked", onSeeked, { once: true });
+    video.addEventListener("error", onError, { once: true });
+    video.currentTime = time;
+  });
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until a video element has loaded its metadata.
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<void>}
+ */
+export function waitForMetadata(video) {
+  if (video.readyState >= 1) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    video.addEventListener("loadedmetadata", () => resolve(), { once: true });
+    video.addEventListener("error", () => reject(new Error("Unsupported or corrupt video file")), { once: true });
+  });
+}
+
+/**
+ * Processes every frame of a loaded video and records the results.
+ * @param {HTMLVideoElement} video A video element with the file loaded (metadata available).
+ * @param {{
+ *   renderFrame: (timestamp: number) => Promise<CanvasImageSource>|CanvasImageSource,
+ *   fps?: number,
+ *   onProgress?: (fraction: number) => void,
+ *   signal?: AbortSignal,
+ * }} options `renderFrame` is called once the video shows the frame at `timestamp` (ms) and
+ *   returns the composited frame to record.
+ * @returns {Promise<Blob>} The recorded WebM. Rejects with an AbortError when `signal` aborts.
+ */
+export async function processVideo(video, { renderFrame, fps = DEFAULT_OUTPUT_FPS, onProgress, signal }) {
+  const frameCount = Math.max(1, Math.floor(video.duration * fps));
+  const frameDuration = 1000 / fps;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  const ctx = canvas.getContext("2d");
+
+  // Frames are pushed explicitly with requestFrame()
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const mimeType = pickRecordingMimeType();
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+  recorder.start();
+  recorder.pause();
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (signal?.aborted) throw new DOMException("Video processing cancelled", "AbortError");
+
+      const time = i / fps;
+      await seek(video, time);
+      const frame = await renderFrame(time * 1000);
+      ctx.drawImage(frame, 0, 0, canvas.width, canvas.height);
+
+      recorder.resume();
+      track.requestFrame();
+      await wait(frameDuration);
+      recorder.pause();
+
+      if (onProgress) onProgress((i + 1) / frameCount);
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    track.stop();
+  }
+
+  return new Blob(chunks, { type: mimeType || "video/webm" });
+}
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAlignmentFilter } from "../src/alignmentFilter.js";
+
+const FRAME = 1000 / 30;
+
+const alignment = (x, { yaw = 0, scale = 1 } = {}) => ({
+  position: { x, y: 0, z: 0 },
+  rotation: { pitch: 0, yaw, roll: 0 },
+  scale,
+  visible: true,
+});
+
+// Feeds `values` one frame apart and returns the filtered position x of each
+function run(filter, values) {
+  return values.map((x, i) => filter.apply(alignment(x), i * FRAME).position.x);
+}
+
+test("passes the first sample through", () => {
+  const filter = createAlignmentFilter();
+  assert.deepEqual(filter.apply(alignment(0.4, { yaw: 0.2, scale: 2 }), 0), alignment(0.4, { yaw: 0.2, scale: 2 }));
+});
+
+test("leaves hidden alignments untouched", () => {
+  const filter = createAlignmentFilter();
+  const hidden = { visible: false };
+  assert.equal(filter.apply(hidden, 0), hidden);
+  assert.equal(filter.apply(null, 0), null);
+});
+
+test("One Euro smooths a step without overshooting and converges", () => {
+  const filtered = run(createAlignmentFilter(), [0, ...Array(60).fill(1)]);
+
+  assert.ok(filtered[1] > 0 && filtered[1] < 1, `first step ${filtered[1]}`);
+  filtered.slice(1).forEach((x, i) => assert.ok(x >= filtered[i] && x <= 1, `frame ${i + 1} ${x}`));
+  assert.ok(filtered.at(-1) > 0.99, `after two seconds ${filtered.at(-1)}`);
+});
+
+test("One Euro lags less on fast motion the higher beta is", () => {
+  const ramp = Array.from({ length: 30 }, (_, i) => i * 0.05);
+  const lag = (beta) => {
+    const filter = createAlignmentFilter({ position: { type: "oneEuro", minCutoff: 1, beta, dCutoff: 1 } });
+    return ramp.at(-1) - run(filter, ramp).at(-1);
+  };
+  assert.ok(lag(20) < lag(0) / 2, `beta 20 lags ${lag(20)}, beta 0 lags ${lag(0)}`);
+});
+
+test("exponential smoothing moves alpha of the way each frame", () => {
+  const filter = createAlignmentFilter({ position: { type: "exponential", alpha: 0.25 } });
+  assert.deepEqual(run(filter, [0, 1, 1]), [0, 0.25, 0.4375]);
+});
+
+test("no filtering with type none", () => {
+  const filter = createAlignmentFilter({ position: { type: "none" } });
+  assert.deepEqual(run(filter, [0, 1, -1]), [0, 1, -1]);
+});
+
+test("rotations take the short way round across ±π", () => {
+  const filter = createAlignmentFilter({ rotation: { type: "exponential", alpha: 0.5 } });
+  filter.apply(alignment(0, { yaw: Math.PI - 0.1 }), 0);
+  const { yaw } = filter.apply(alignment(0, { yaw: -Math.PI + 0.1 }), FRAME).rotation;
+  // Halfway along the 0.2 rad arc through π, not back through 0
+  assert.ok(Math.abs(yaw - Math.PI) < 1e-9, `yaw ${yaw}`);
+});
+
+test("filters each earring position on its own", () => {
+  const filter = createAlignmentFilter({ position: { type: "exponential", alpha: 0.5 } });
+  const pair = (left, right) => ({
+    positions: [
+      { x: left, y: 0, z: 0 },
+      { x: right, y: 0, z: 0 },
+    ],
+    visible: true,
+  });
+  filter.apply(pair(0, 10), 0);
+  const { positions } = filter.apply(pair(2, 10), FRAME);
+  assert.equal(positions[0].x, 1);
+  assert.equal(positions[1].x, 10);
+});
+
+test("starts over after reset", () => {
+  const filter = createAlignmentFilter();
+  run(filter, [0, 0, 0]);
+  filter.reset();
+  assert.equal(filter.apply(alignment(5), 10 * FRAME).position.x, 5);
+});
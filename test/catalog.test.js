@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { CATALOG_VERSION, validateCatalog, validateCatalogEntry } from "../src/catalog.js";
+
+const entry = (overrides = {}) => ({
+  id: "aviator",
+  name: "Aviator",
+  type: "glasses",
+  category: "Glasses",
+  path: "/models/glasses1.glb",
+  ...overrides,
+});
+
+const catalog = (...accessories) => ({ version: CATALOG_VERSION, accessories });
+
+test("the shipped catalog is valid", () => {
+  const manifest = JSON.parse(readFileSync(new URL("../public/catalog.json", import.meta.url), "utf8"));
+  const { accessories, issues } = validateCatalog(manifest);
+  assert.deepEqual(issues, []);
+  assert.equal(accessories.length, manifest.accessories.length);
+});
+
+test("rejects a manifest without an accessories list", () => {
+  [null, [], {}, { version: CATALOG_VERSION, accessories: {} }].forEach((manifest) => {
+    assert.deepEqual(validateCatalog(manifest), {
+      accessories: [],
+      issues: [{ id: null, message: "Catalog has no accessories list" }],
+    });
+  });
+});
+
+test("rejects other catalog versions", () => {
+  const { accessories, issues } = validateCatalog({ version: CATALOG_VERSION + 1, accessories: [entry()] });
+  assert.deepEqual(accessories, []);
+  assert.match(issues[0].message, /Unsupported catalog version/);
+});
+
+test("leaves invalid entries out and reports each by id and position", () => {
+  const valid = entry({ id: "round", path: "/models/glasses3.glb" });
+  const { accessories, issues } = validateCatalog(catalog(entry({ type: "scarf" }), valid, entry({ id: "Bad Id" })));
+
+  assert.deepEqual(accessories, [valid]);
+  assert.deepEqual(issues, [
+    { id: "aviator", message: 'Entry 1: unknown type "scarf"' },
+    { id: "Bad Id", message: "Entry 3: id must be lower-case words joined by dashes" },
+  ]);
+});
+
+test("reports duplicate ids after the first", () => {
+  const { accessories, issues } = validateCatalog(catalog(entry(), entry({ name: "Aviator 2" })));
+  assert.equal(accessories.length, 1);
+  assert.deepEqual(issues, [{ id: "aviator", message: "Entry 2: duplicate id" }]);
+});
+
+test("reports non-object entries without an id", () => {
+  const { issues } = validateCatalog(catalog("aviator"));
+  assert.deepEqual(issues, [{ id: null, message: "Entry 1: entry must be an object" }]);
+});
+
+test("checks required fields, models and optional fields", () => {
+  const cases = [
+    [{ name: " " }, "name is required"],
+    [{ category: undefined }, "category is required"],
+    [{ path: "/models/glasses1.obj" }, "path must point to a .glb or .gltf model"],
+    [{ tags: ["round", 3] }, "tags must be a list of strings"],
+    [{ thumbnail: "" }, "thumbnail must be a URL"],
+    [{ frameWidth: 0 }, "frameWidth must be a positive number of millimetres"],
+    [{ hand: "both" }, 'hand must be "left" or "right"'],
+    [{ colour: "red" }, 'unknown field "colour"'],
+  ];
+  cases.forEach(([overrides, error]) => assert.deepEqual(validateCatalogEntry(entry(overrides)), [error]));
+});
+
+test("checks fit calibration", () => {
+  const cases = [
+    [[], "fit must be an object"],
+    [{ offset: 1 }, 'unknown fit field "offset"'],
+    [{ anchorOffset: { x: 0.1, w: 1 } }, "fit.anchorOffset.w must be one of x/y/z with a number value"],
+    [{ anchorOffset: { y: "0.1" } }, "fit.anchorOffset.y must be one of x/y/z with a number value"],
+    [{ scaleMultiplier: -2 }, "fit.scaleMultiplier must be a positive number"],
+    [{ rotationCorrection: 0.5 }, "fit.rotationCorrection must be an object"],
+    [{ depthPlane: "near" }, "fit.depthPlane must be a number or null"],
+  ];
+  cases.forEach(([fit, error]) => assert.deepEqual(validateCatalogEntry(entry({ fit })), [error]));
+
+  const fit = { anchorOffset: { y: -0.01 }, scaleMultiplier: 20, rotationCorrection: { yaw: 3.14 }, depthPlane: null };
+  assert.deepEqual(validateCatalogEntry(entry({ fit })), []);
+});
+
+test("joins all of an entry's problems into one issue", () => {
+  const { issues } = validateCatalog(catalog(entry({ name: "", hand: "up" })));
+  assert.deepEqual(issues, [{ id: "aviator", message: 'Entry 1: name is required; hand must be "left" or "right"' }]);
+});
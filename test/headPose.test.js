@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { CANONICAL_FACE_POINTS, solveHeadPose, transformCanonicalPoint } from "../src/headPose.js";
+
+const readFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+
+// MediaPipe's 468-point canonical face mesh and face mesh landmarks recorded from photos
+const canonicalMesh = readFixture("canonical-face-model.json").vertices;
+const recordedFaces = readFixture("face-landmarks.json").faces;
+
+const DEG = Math.PI / 180;
+
+// Same conversion as the viewer's convertFaceLandmarksToPixelPoints
+const toPixels = ({ width, height, faceLandmarks }) =>
+  faceLandmarks.map((lm) => ({ x: lm.x * width, y: lm.y * height, z: lm.z * width }));
+
+// Row-major rotation for Three.js "XYZ" Euler angles
+function eulerToMatrix(pitch, yaw, roll) {
+  const [cx, sx, cy, sy, cz, sz] = [pitch, yaw, roll].flatMap((a) => [Math.cos(a), Math.sin(a)]);
+  return [
+    [cy * cz, -cy * sz, sy],
+    [cx * sz + sx * sy * cz, cx * cz - sx * sy * sz, -sx * cy],
+    [sx * sz - cx * sy * cz, sx * cz + cx * sy * sz, cx * cy],
+  ];
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test("canonical points are MediaPipe's canonical face model", () => {
+  Object.entries(CANONICAL_FACE_POINTS).forEach(([index, { point }]) => {
+    point.forEach((value, k) => assertClose(value, canonicalMesh[index][k], 1e-6, `landmark ${index}`));
+  });
+});
+
+test("recovers a known pose from the transformed canonical mesh", () => {
+  const euler = { pitch: 12 * DEG, yaw: -25 * DEG, roll: 8 * DEG };
+  const rotation = eulerToMatrix(euler.pitch, euler.yaw, euler.roll);
+  const scale = 14;
+  const origin = { x: 320, y: 240, z: -30 };
+  const landmarks = canonicalMesh.map((point) => {
+    const [x, y, z] = rotation.map((row) => row[0] * point[0] + row[1] * point[1] + row[2] * point[2]);
+    return { x: origin.x + scale * x, y: origin.y - scale * y, z: origin.z - scale * z };
+  });
+
+  const pose = solveHeadPose(landmarks);
+  assertClose(pose.euler.pitch, euler.pitch, 1e-6, "pitch");
+  assertClose(pose.euler.yaw, euler.yaw, 1e-6, "yaw");
+  assertClose(pose.euler.roll, euler.roll, 1e-6, "roll");
+  assertClose(pose.scale, scale, 1e-6, "scale");
+  ["x", "y", "z"].forEach((axis) => assertClose(pose.translation[axis], origin[axis], 1e-6, `translation ${axis}`));
+  assertClose(pose.error, 0, 1e-6, "error");
+
+  const noseTip = transformCanonicalPoint(pose, CANONICAL_FACE_POINTS[1].point);
+  ["x", "y", "z"].forEach((axis) => assertClose(noseTip[axis], landmarks[1][axis], 1e-6, `nose tip ${axis}`));
+});
+
+test("fits recorded landmarks like the full canonical mesh does", () => {
+  recordedFaces.forEach((face, index) => {
+    const landmarks = toPixels(face);
+    const pose = solveHeadPose(landmarks);
+    const reference = solveHeadPose(landmarks, canonicalMesh);
+    const label = `face ${index} (${face.image})`;
+
+    assert.ok(pose, `${label} has no pose`);
+    assert.ok(pose.error < 2.5, `${label} fit error ${pose.error} cm`);
+    // Depth from a single image is the least certain, which shows in pitch
+    assertClose(pose.euler.pitch, reference.euler.pitch, 6 * DEG, `${label} pitch`);
+    assertClose(pose.euler.yaw, reference.euler.yaw, 4 * DEG, `${label} yaw`);
+    assertClose(pose.euler.roll, reference.euler.roll, 4 * DEG, `${label} roll`);
+    assertClose(pose.scale, reference.scale, reference.scale * 0.1, `${label} scale`);
+
+    // The canonical origin lies inside the head, so within the face's landmark bounds
+    const xs = landmarks.map((lm) => lm.x);
+    const ys = landmarks.map((lm) => lm.y);
+    assert.ok(pose.translation.x > Math.min(...xs) && pose.translation.x < Math.max(...xs), `${label} origin x`);
+    assert.ok(pose.translation.y > Math.min(...ys) && pose.translation.y < Math.max(...ys), `${label} origin y`);
+  });
+});
@@ -0,0 +1,96 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { fetchModel } from "../src/modelCache.js";
+
+const MODEL_URL = "/models/crown.glb";
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Just enough of the Cache Storage Cache interface
+function createCache() {
+  const entries = new Map();
+  return {
+    entries,
+    async match(url) {
+      return entries.get(url)?.clone();
+    },
+    async put(url, response) {
+      entries.set(url, response);
+    },
+  };
+}
+
+const glb = (body, headers = {}) =>
+  new Response(body, { headers: { "content-type": "model/gltf-binary", etag: '"v1"', ...headers } });
+
+// Records the requests and answers them in turn
+function stubFetch(...answers) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push({ url, headers: new Headers(init.headers) });
+    const answer = answers.shift();
+    if (answer instanceof Error) throw answer;
+    return answer;
+  };
+  return requests;
+}
+
+test("caches a downloaded model", async () => {
+  const cache = createCache();
+  stubFetch(glb("model"));
+
+  const response = await fetchModel(MODEL_URL, cache);
+  assert.equal(await response.text(), "model");
+  assert.equal(await (await cache.match(MODEL_URL)).text(), "model");
+});
+
+test("revalidates the cached copy and serves it on a 304", async () => {
+  const cache = createCache();
+  await cache.put(MODEL_URL, glb("cached", { "last-modified": "Mon, 19 Oct 2026 06:00:00 GMT" }));
+  const requests = stubFetch(new Response(null, { status: 304 }));
+
+  const response = await fetchModel(MODEL_URL, cache);
+  assert.equal(await response.text(), "cached");
+  assert.equal(requests[0].headers.get("if-none-match"), '"v1"');
+  assert.equal(requests[0].headers.get("if-modified-since"), "Mon, 19 Oct 2026 06:00:00 GMT");
+});
+
+test("replaces the cached copy when the model changed", async () => {
+  const cache = createCache();
+  await cache.put(MODEL_URL, glb("old"));
+  stubFetch(glb("new", { etag: '"v2"' }));
+
+  assert.equal(await (await fetchModel(MODEL_URL, cache)).text(), "new");
+  assert.equal(await (await cache.match(MODEL_URL)).text(), "new");
+});
+
+test("serves the cached copy offline", async () => {
+  const cache = createCache();
+  await cache.put(MODEL_URL, glb("cached"));
+  stubFetch(new TypeError("Failed to fetch"));
+
+  assert.equal(await (await fetchModel(MODEL_URL, cache)).text(), "cached");
+});
+
+test("fails offline without a cached copy", async () => {
+  stubFetch(new TypeError("Failed to fetch"));
+  await assert.rejects(fetchModel(MODEL_URL, createCache()), TypeError);
+});
+
+test("rejects missing models, including a dev server's index.html fallback", async () => {
+  const cache = createCache();
+  stubFetch(new Response("", { status: 404 }), new Response("<html>", { headers: { "content-type": "text/html" } }));
+
+  await assert.rejects(fetchModel(MODEL_URL, cache), /Model not found/);
+  await assert.rejects(fetchModel(MODEL_URL, cache), /Model not found/);
+  assert.equal(cache.entries.size, 0);
+});
+
+test("is a plain fetch without a cache", async () => {
+  const requests = stubFetch(glb("model"));
+  assert.equal(await (await fetchModel(MODEL_URL, null)).text(), "model");
+  assert.equal([...requests[0].headers].length, 0);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { buildManifest } from "../scripts/precacheManifest.js";
+
+async function withBuild(files, run) {
+  const dir = await mkdtemp(path.join(tmpdir(), "precache-"));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await writeFile(path.join(dir, name), content);
+    }
+    return await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const BUILD = {
+  "index.html": "<html></html>",
+  "tracking-worker.js": "importScripts('holistic.js');",
+  "mediapipe/holistic/holistic.js": "// runtime",
+  "models/crown.glb": "glTF",
+  "sw.js": "const PRECACHE_VERSION = '__PRECACHE_VERSION__';",
+  "assets/index.js.map": "{}",
+};
+
+test("lists build files under the base path, without models, the worker or source maps", async () => {
+  const { files } = await withBuild(BUILD, (dir) => buildManifest(dir, "/app/"));
+  assert.deepEqual(files, ["/app/index.html", "/app/mediapipe/holistic/holistic.js", "/app/tracking-worker.js"]);
+});
+
+test("a content-only change to a stable file name bumps the version", async () => {
+  const before = await withBuild(BUILD, (dir) => buildManifest(dir, "/"));
+  const same = await withBuild(BUILD, (dir) => buildManifest(dir, "/"));
+  const changed = await withBuild({ ...BUILD, "tracking-worker.js": "importScripts('holistic.js'); // v2" }, (dir) =>
+    buildManifest(dir, "/")
+  );
+
+  assert.equal(same.version, before.version);
+  assert.deepEqual(changed.files, before.files);
+  assert.notEqual(changed.version, before.version);
+});
+
+test("excluded files don't affect the version", async () => {
+  const before = await withBuild(BUILD, (dir) => buildManifest(dir, "/"));
+  const after = await withBuild({ ...BUILD, "models/crown.glb": "glTF v2", "assets/index.js.map": "[]" }, (dir) =>
+    buildManifest(dir, "/")
+  );
+  assert.equal(after.version, before.version);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SESSION_VERSION, createSessionRecorder, parseSession } from "../src/sessionRecorder.js";
+
+const point = { x: 0.5, y: 0.4, z: -0.02 };
+const session = (frames, extra = {}) => JSON.stringify({ version: SESSION_VERSION, frames, ...extra });
+
+test("parses what the recorder writes", () => {
+  const recorder = createSessionRecorder({ video: { width: 640, height: 480 } });
+  recorder.addFrame({ faceLandmarks: [point], poseLandmarks: [{ ...point, visibility: 0.9 }] });
+  recorder.addFrame({});
+  assert.equal(recorder.frameCount, 2);
+
+  const parsed = parseSession(JSON.stringify(recorder.finish()));
+  assert.deepEqual(parsed.video, { width: 640, height: 480 });
+  assert.deepEqual(parsed.frames[0].faceLandmarks, [point]);
+  assert.deepEqual(parsed.frames[0].poseLandmarks, [{ ...point, visibility: 0.9 }]);
+  assert.equal(parsed.frames[0].leftHandLandmarks, null);
+  assert.equal(parsed.frames[1].faceLandmarks, null);
+  assert.ok(parsed.frames[1].t >= parsed.frames[0].t);
+});
+
+test("rejects files that aren't sessions", () => {
+  assert.throws(() => parseSession("{frames"), /Session file is not valid JSON/);
+  assert.throws(() => parseSession("null"), /Session file is empty/);
+  assert.throws(() => parseSession('"session"'), /Session file is empty/);
+  const future = JSON.stringify({ version: SESSION_VERSION + 1, frames: [] });
+  assert.throws(() => parseSession(future), /Unsupported session version: 2/);
+});
+
+test("rejects sessions without frames", () => {
+  assert.throws(() => parseSession(session([])), /Session has no frames/);
+  assert.throws(() => parseSession(JSON.stringify({ version: SESSION_VERSION })), /Session has no frames/);
+});
+
+test("rejects broken frames by index", () => {
+  assert.throws(() => parseSession(session([{ t: 0 }, null])), /Frame 1 is not an object/);
+  assert.throws(() => parseSession(session([{ t: 0 }, 5])), /Frame 1 is not an object/);
+  assert.throws(() => parseSession(session([{ faceLandmarks: [point] }])), /Frame 0 has no timestamp/);
+  const notAList = session([{ t: 0, poseLandmarks: { 0: point } }]);
+  assert.throws(() => parseSession(notAList), /Frame 0 has invalid poseLandmarks/);
+});
+
+test("accepts frames with missing landmark sets", () => {
+  const parsed = parseSession(session([{ t: 0 }, { t: 33.3, rightHandLandmarks: null, faceLandmarks: [point] }]));
+  assert.equal(parsed.frames.length, 2);
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_TRACKING_PARAMS,
+  TRACKING_STATES,
+  computeTrackingConfidence,
+  createTrackingStateMachine,
+} from "../src/trackingState.js";
+
+const { ACQUIRING, TRACKING, OCCLUDED, LOST } = TRACKING_STATES;
+const { acquireTime, holdTime, fadeInTime, fadeOutTime } = DEFAULT_TRACKING_PARAMS;
+
+// A machine that has been tracking since t = 0
+function tracking() {
+  const machine = createTrackingStateMachine();
+  machine.update(true, 1, -acquireTime);
+  machine.update(true, 1, 0);
+  assert.equal(machine.state, TRACKING);
+  return machine;
+}
+
+test("acquires after detection persists for acquireTime", () => {
+  const machine = createTrackingStateMachine();
+  assert.equal(machine.state, LOST);
+  assert.equal(machine.update(true, 1, 0), ACQUIRING);
+  assert.equal(machine.update(true, 1, acquireTime - 1), ACQUIRING);
+  assert.equal(machine.update(true, 1, acquireTime), TRACKING);
+});
+
+test("a missed frame while acquiring starts over", () => {
+  const machine = createTrackingStateMachine();
+  machine.update(true, 1, 0);
+  assert.equal(machine.update(false, 0, 50), LOST);
+  assert.equal(machine.update(true, 1, 100), ACQUIRING);
+  assert.equal(machine.update(true, 1, 100 + acquireTime - 1), ACQUIRING);
+});
+
+test("low confidence counts as not detected", () => {
+  const machine = createTrackingStateMachine({ minConfidence: 0.6 });
+  assert.equal(machine.update(true, 0.5, 0), LOST);
+  assert.equal(machine.update(true, 0.6, 0), ACQUIRING);
+});
+
+test("holds an occluded accessory for holdTime, then loses it", () => {
+  const machine = tracking();
+  assert.equal(machine.update(false, 0, 100), OCCLUDED);
+  assert.equal(machine.update(false, 0, 100 + holdTime - 1), OCCLUDED);
+  assert.equal(machine.update(false, 0, 100 + holdTime), LOST);
+});
+
+test("picks tracking straight back up when detected again within the hold", () => {
+  const machine = tracking();
+  machine.update(false, 0, 100);
+  assert.equal(machine.update(true, 1, 200), TRACKING);
+  // The hold starts over on the next dropout
+  assert.equal(machine.update(false, 0, 300), OCCLUDED);
+  assert.equal(machine.update(false, 0, 300 + holdTime - 1), OCCLUDED);
+});
+
+test("fades in over fadeInTime once tracking", () => {
+  const machine = createTrackingStateMachine();
+  machine.update(true, 1, 0);
+  assert.equal(machine.fade(100), 0, "no fade while acquiring");
+
+  machine.update(true, 1, acquireTime);
+  assert.equal(machine.fade(fadeInTime / 2), 0.5);
+  assert.equal(machine.fade(fadeInTime), 1);
+  assert.equal(machine.opacity, 1);
+});
+
+test("stays visible while occluded and fades out over fadeOutTime once lost", () => {
+  const machine = tracking();
+  machine.fade(fadeInTime);
+  machine.update(false, 0, 100);
+  assert.equal(machine.fade(100), 1);
+
+  machine.update(false, 0, 100 + holdTime);
+  assert.equal(machine.fade(fadeOutTime / 4), 0.75);
+  assert.equal(machine.fade(fadeOutTime), 0);
+});
+
+test("ignores negative frame times", () => {
+  const machine = tracking();
+  assert.equal(machine.fade(-100), 0);
+});
+
+test("reset loses the accessory and clears its opacity", () => {
+  const machine = tracking();
+  machine.fade(fadeInTime);
+  machine.reset();
+  assert.equal(machine.state, LOST);
+  assert.equal(machine.opacity, 0);
+  // Timestamps from a new timeline start acquiring from scratch
+  assert.equal(machine.update(true, 1, 5), ACQUIRING);
+});
+
+test("confidence weights meshes by the matching pose landmarks' visibility", () => {
+  const poseLandmarks = Array.from({ length: 33 }, () => ({ x: 0, y: 0, z: 0, visibility: 0.8 }));
+  poseLandmarks[15].visibility = 0.2;
+  const mesh = [{ x: 0, y: 0, z: 0 }];
+
+  const confidence = computeTrackingConfidence({ faceLandmarks: mesh, poseLandmarks, leftHandLandmarks: mesh });
+  assert.ok(Math.abs(confidence.face - 0.8) < 1e-9, `face ${confidence.face}`);
+  assert.ok(Math.abs(confidence.pose - 0.8) < 1e-9, `pose ${confidence.pose}`);
+  assert.equal(confidence.leftHand, 0.2);
+  assert.equal(confidence.rightHand, 0);
+});
+
+test("meshes without a pose count as fully confident", () => {
+  const mesh = [{ x: 0, y: 0, z: 0 }];
+  assert.deepEqual(computeTrackingConfidence({ faceLandmarks: mesh, rightHandLandmarks: mesh }), {
+    face: 1,
+    pose: 0,
+    leftHand: 0,
+    rightHand: 1,
+  });
+});
@@ -1,7 +1,47 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { viteStaticCopy } from "vite-plugin-static-copy";
+import { precacheManifest } from "./scripts/precacheManifest.js";
+
+const THREE_LIBS = "node_modules/three/examples/jsm/libs";
+const HOLISTIC = "node_modules/@mediapipe/holistic";
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    viteStaticCopy({
+      targets: [
+        // Draco and Basis (KTX2) decoders, served from /decoders (see assetManager.js)
+        {
+          src: [
+            `${THREE_LIBS}/draco/gltf/draco_decoder.js`,
+            `${THREE_LIBS}/draco/gltf/draco_decoder.wasm`,
+            `${THREE_LIBS}/draco/gltf/draco_wasm_wrapper.js`,
+          ],
+          dest: "decoders/draco",
+        },
+        {
+          src: [`${THREE_LIBS}/basis/basis_transcoder.js`, `${THREE_LIBS}/basis/basis_transcoder.wasm`],
+          dest: "decoders/basis",
+        },
+        // MediaPipe Holistic runtime and models, loaded by the tracking worker (public/tracking-worker.js).
+        // Only what the app uses is shipped and precached: the SIMD WASM build (see the worker's
+        // SIMD check) and the lite and full pose models of QUALITY_LEVELS, not the heavy one.
+        {
+          src: [
+            `${HOLISTIC}/holistic.js`,
+            `${HOLISTIC}/holistic.binarypb`,
+            `${HOLISTIC}/holistic_solution_packed_assets*`,
+            `${HOLISTIC}/holistic_solution_simd_wasm_bin.*`,
+            `${HOLISTIC}/pose_landmark_lite.tflite`,
+            `${HOLISTIC}/pose_landmark_full.tflite`,
+          ],
+          dest: "mediapipe/holistic",
+        },
+      ],
+    }),
+    // Offline support, see public/sw.js
+    precacheManifest(),
+  ],
 });